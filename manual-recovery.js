@@ -1,295 +1,244 @@
 import 'dotenv/config';
-import { shopifyApi, LATEST_API_VERSION, LogSeverity } from '@shopify/shopify-api';
-import '@shopify/shopify-api/adapters/node';
-import { S3Client, GetObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
-import sharp from 'sharp';
-import JSZip from 'jszip';
 import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { processOrderPayload, isOrderComplete, DESIGN_TAG } from './src/pipeline.js';
+import { searchOrders, fetchOrderByName } from './src/orders.js';
+import { createQueue } from './src/queue.js';
+import { reconcileOrders } from './src/reconciler.js';
+import { accessTokenForShop } from './src/sessions.js';
+
+// The pipeline's logs (src/logger.js) read as lines in a terminal, not JSON
+process.env.LOG_FORMAT ||= 'text';
+
+// --- RECOVERY CLI ---
+// Re-runs the design pipeline for orders the webhook missed or got wrong.
+//
+//   npm run recover -- orders 1001 1002 [--file orders.csv]
+//   npm run recover -- range --from 2024-05-01 [--to 2024-05-31]
+//   npm run recover -- search "tag:design_failed"
+//   npm run reconcile [-- --since 2024-05-01]
+//
+// Options:
+//   --dry-run          validate and pick templates, render and write nothing
+//   --force            re-render line items that already have a design
+//   --only-failed      only re-run line items that failed last time
+//   --concurrency N    orders processed at once (default 2)
+//   --report FILE      write every line item's outcome to FILE (.json or .csv)
+//   --shop DOMAIN      shop to work on (default SHOP_URL)
+
+const USAGE = `Usage: node manual-recovery.js <orders|range|search|reconcile> [arguments] [options]
+
+  orders <name...> [--file orders.csv]   orders by name, or from a CSV with a header row
+  range --from DATE [--to DATE]          orders created in a date range (inclusive)
+  search "<query>"                       orders matching a Shopify search query
+  reconcile [--since DATE]               find and recover orders the webhook missed,
+                                         from the last high-water mark (src/reconciler.js)
+
+  --dry-run          validate and pick templates, render and write nothing
+  --force            re-render line items that already have a design
+  --only-failed      only re-run line items that failed last time
+  --concurrency N    orders processed at once (default 2)
+  --report FILE      write the outcome of every line item to FILE (.json or .csv)
+  --shop DOMAIN      shop to work on (default SHOP_URL)`;
+
+const REPORT_COLUMNS = ['order', 'lineItemId', 'callSign', 'status', 'detail'];
+
+const parseCommandLine = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      file: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      since: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      'only-failed': { type: 'boolean', default: false },
+      concurrency: { type: 'string', default: '2' },
+      report: { type: 'string' },
+      shop: { type: 'string', default: process.env.SHOP_URL },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  const [command, ...args] = positionals;
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--concurrency must be a positive whole number, got "${values.concurrency}"`);
+  }
+  if (values.force && values['only-failed']) {
+    throw new Error('--force and --only-failed cannot be combined');
+  }
+  return { command, args, ...values, concurrency };
+};
+
+const readOrderFile = (filePath) => {
+  const rows = fs.readFileSync(filePath, 'utf-8').split(/\r?\n/).slice(1); // skip the header row
+  return rows.map((row) => row.split(',')[0].trim().replace(/^"|"$/g, '')).filter(Boolean);
+};
+
+// Date-only values are taken as whole days: --to 2024-05-31 includes the 31st.
+const dateQuery = (from, to) => {
+  if (!from) throw new Error('range needs --from');
+  const bound = (value, name) => {
+    if (Number.isNaN(Date.parse(value))) throw new Error(`${name} is not a date: "${value}"`);
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && name === '--to' ? `${value}T23:59:59Z` : value;
+  };
+  return [`created_at:>=${bound(from, '--from')}`, to ? `created_at:<=${bound(to, '--to')}` : null]
+    .filter(Boolean)
+    .join(' ');
+};
+
+// Yields { name } for orders still to be looked up, or { name, payload }.
+async function* ordersToProcess(options) {
+  const { command, args, shop, accessToken } = options;
+  if (command === 'orders') {
+    const names = [...args, ...(options.file ? readOrderFile(options.file) : [])];
+    if (names.length === 0) throw new Error('orders needs at least one order name or --file');
+    for (const name of names) yield { name };
+  } else if (command === 'range' || command === 'search') {
+    const query = command === 'range' ? dateQuery(options.from, options.to) : args.join(' ');
+    if (!query) throw new Error('search needs a query');
+    console.log(`Searching orders: ${query}`);
+    for await (const payload of searchOrders(shop, query, { accessToken })) {
+      yield { name: payload.name, payload };
+    }
+  } else {
+    throw new Error(command ? `Unknown command "${command}"` : 'No command given');
+  }
+}
 
-// --- INITIALIZE CLIENTS (Identical to your live app) ---
-const shopify = shopifyApi({
-  apiKey: process.env.SHOPIFY_API_KEY,
-  apiSecretKey: process.env.SHOPIFY_API_SECRET,
-  scopes: ['read_orders', 'write_orders'],
-  hostName: "manual-script.com", // Placeholder, does not matter for this script
-  apiVersion: LATEST_API_VERSION,
-  isEmbeddedApp: false,
-  logger: { level: LogSeverity.Info },
-});
-
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
-
-// --- CORE PROCESSING LOGIC (Now identical to your live app's webhookHandler) ---
-// --- REUSABLE CORE LOGIC (Updated with new tag format) ---
-// --- REUSABLE CORE LOGIC (Updated with conditional link formatting) ---
-async function processOrderPayload(payload, shop) {
-  try {
-    const designLinks = [];
-    // This array will hold all our tags
-    const dynamicTags = ['has_custom_design', 'manual_recovery'];
-    let itemIndex = 0;
-    const totalCustomItems = payload.line_items.filter((i) =>
-      i.properties?.some((p) => p.name === "call_sign")
-    ).length;
-
-    for (const item of payload.line_items) {
-      const prop = item.properties?.find((p) => p.name === "call_sign");
-      if (prop?.value) {
-        itemIndex++;
-        const callSign = prop.value; // Get the exact call sign
-        console.log(
-          `  -> Found Custom Item: "${item.title}" with Call Sign "${callSign}"`
-        );
-
-        // --- START: NEW TAG LOGIC ---
-        
-        // Split the variant title (e.g., "White / 2XL") into parts
-        const variantParts = item.variant_title.split(' / ');
-        const variantColor = variantParts[0] ? variantParts[0].trim() : 'UnknownColor';
-        const variantSize = variantParts[1] ? variantParts[1].trim() : 'UnknownSize';
-
-        // Create the new tag in the format: Color/Size/CallSign
-        const newTag = `${variantColor}/${variantSize}/${callSign}`;
-        
-        // Add the new tag for each item
-        dynamicTags.push(newTag);
-        
-        // --- END: NEW TAG LOGIC ---
-
-
-        // 1. Construct and download the template ZIP from S3
-        const baseFilename = item.title
-          .toUpperCase()
-          .replace(/\s+/g, "_")
-          .replace("T-SHIRT", "T--SHIRT");
-        const variantTitle = item.variant_title.toLowerCase(); // This is just for the filename
-        let templateKey;
-        if (
-          variantTitle.includes("white") ||
-          variantTitle.includes("golden yellow")
-        ) {
-          templateKey = `${baseFilename}_FOR_LIGHT.zip`;
-        } else {
-          templateKey = `${baseFilename}_FOR_DARK.zip`;
-        }
-        console.log(`     - Searching for template ZIP: ${templateKey}`);
-
-        const getObjectParams = {
-          Bucket: process.env.AWS_TEMPLATES_BUCKET,
-          Key: templateKey,
-        };
-        const templateObject = await s3Client.send(
-          new GetObjectCommand(getObjectParams)
-        );
-        const templateZipBuffer = await templateObject.Body.transformToByteArray();
-
-        // 2. Unzip, find the PNG, and edit it with Sharp
-        const zip = await JSZip.loadAsync(templateZipBuffer);
-        const templatePngFile = zip.file(/template\.png$/)[0];
-        if (!templatePngFile) {
-          throw new Error(`template.png not found in ${templateKey}`);
-        }
-        const templatePngBytes = await templatePngFile.async("uint8array");
-
-        // Edit the image with Sharp using your preferred style
-        const metadata = await sharp(templatePngBytes).metadata();
-        const svgText = `
-          <svg width="${metadata.width}" height="${metadata.height}">
-            <style>
-              .title { 
-                fill: #f0cc00; 
-                font-size: 980px; 
-                font-weight: bold; 
-                font-family: Helvetica;
-                letter-spacing: 5px;
-              }
-            </style>
-            <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" dy=".05em" class="title">${callSign}</text>
-          </svg>`;
-        const svgBuffer = Buffer.from(svgText);
-
-        const finishedImageBuffer = await sharp(templatePngBytes)
-          .composite([{ input: svgBuffer }])
-          .png()
-          .toBuffer();
-        console.log("     - Image processing complete.");
-
-        // 3. Create a new ZIP file with the edited PNG
-        const newZip = new JSZip();
-        for (const [relativePath, file] of Object.entries(zip.files)) {
-          if (!relativePath.endsWith("template.png")) {
-            newZip.file(relativePath, await file.async("uint8array"));
-          }
-        }
-        newZip.file("design.png", finishedImageBuffer);
-        const finalZipBuffer = await newZip.generateAsync({ type: "nodebuffer" });
-        console.log("     - New ZIP package created.");
-
-        // 4. Upload the final ZIP to the "designs" S3 bucket
-        const newZipKey = `designs/${payload.name.replace("#", "")}-${
-          item.id
-        }-${Date.now()}.zip`;
-        const putObjectParams = {
-          Bucket: process.env.AWS_DESIGNS_BUCKET,
-          Key: newZipKey,
-          Body: finalZipBuffer,
-          ContentType: "application/zip",
-        };
-        await s3Client.send(new PutObjectCommand(putObjectParams));
-        const newFileUrl = `https://s3.${process.env.AWS_REGION}.amazonaws.com/${process.env.AWS_DESIGNS_BUCKET}/${newZipKey}`;
-        console.log(`     - Uploaded new ZIP to S3: ${newFileUrl}`);
-
-        const orderName = payload.name;
-        
-        // --- START: NEW CONDITIONAL LINK LOGIC ---
-        let designLinkString;
-        if (totalCustomItems > 1) {
-          // Multi-item order: Use the full format
-          designLinkString = `${orderName}-${itemIndex}/${totalCustomItems}-${newFileUrl};`;
-        } else {
-          // Single-item order: Use the simplified format (no 1/1)
-          designLinkString = `${orderName}-${newFileUrl};`;
-        }
-        // --- END: NEW CONDITIONAL LINK LOGIC ---
-
-        designLinks.push(designLinkString);
-      }
+// One report row per line item, or a single row without a line item when the
+// whole order was skipped or could not be processed.
+const orderRows = (order, result) => [
+  ...result.designs.map((d) => ({ order, lineItemId: d.lineItemId, callSign: d.callSign, status: 'rendered', detail: d.key })),
+  ...result.planned.map((p) => ({ order, lineItemId: p.lineItemId, callSign: p.callSign, status: 'planned', detail: p.templateKey })),
+  ...result.skippedItems.map((s) => ({ order, lineItemId: s.lineItemId, callSign: s.callSign, status: 'skipped', detail: s.reason })),
+  ...result.reviews.map((r) => ({ order, lineItemId: r.lineItemId, callSign: r.callSign, status: 'review', detail: r.reason })),
+  ...result.failures.map((f) => ({ order, lineItemId: f.lineItemId, callSign: f.callSign, status: 'failed', detail: f.reason })),
+];
+
+const recoverOrder = async ({ name, payload }, options) => {
+  const row = (status, detail) => [{ order: name, lineItemId: '', callSign: '', status, detail }];
+
+  const order = payload || (await fetchOrderByName(options.shop, name, { accessToken: options.accessToken }));
+  if (!order) return row('not_found', 'order not found in Shopify');
+
+  // The ledger knows which line items are done; the tag is only the
+  // fallback for orders processed before the ledger existed.
+  if (!options.force && !options['only-failed']) {
+    const complete = isOrderComplete(order, options.shop);
+    if (complete || (complete === null && order.tags?.includes(DESIGN_TAG))) {
+      return row('skipped', 'order already has all of its designs');
     }
+  }
 
-    // 5. Update the Shopify order note (with error checking)
-    if (designLinks.length > 0) {
-      console.log("  -> Updating Shopify order with tags and notes...");
-      const newNote =
-        (payload.note ? `${payload.note}\n\n` : "") +
-        `--- Custom Design Files (Manual Recovery) ---\n${designLinks.join(
-          "\n"
-        )}`;
-      const gqlClient = new shopify.clients.Graphql({
-        session: { shop, accessToken: process.env.SHOPIFY_ACCESS_TOKEN },
-      });
-      
-      const response = await gqlClient.request(
-        `mutation addTagsAndUpdateNote($id: ID!, $tags: [String!]!, $note: String!) {
-          tagsAdd(id: $id, tags: $tags) { node { id } userErrors { field message } }
-          orderUpdate(input: {id: $id, note: $note}) { order { id } userErrors { field message } }
-        }`,
-        {
-          variables: {
-            id: payload.admin_graphql_api_id,
-            tags: dynamicTags,
-            note: newNote,
-          },
-        }
-      );
+  const result = await processOrderPayload(order, options.shop, {
+    accessToken: options.accessToken,
+    extraTags: ['manual_recovery'],
+    force: options.force,
+    onlyFailed: options['only-failed'],
+    dryRun: options['dry-run'],
+  });
+  const rows = orderRows(order.name, result);
+  return rows.length > 0 ? rows : row('skipped', 'no custom line items');
+};
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const writeReport = (filePath, rows) => {
+  const content = path.extname(filePath).toLowerCase() === '.csv'
+    ? [REPORT_COLUMNS, ...rows.map((r) => REPORT_COLUMNS.map((column) => r[column]))]
+      .map((cells) => cells.map(csvCell).join(','))
+      .join('\n') + '\n'
+    : JSON.stringify({ generatedAt: new Date().toISOString(), rows }, null, 2);
+  fs.writeFileSync(filePath, content);
+  console.log(`Report written to ${filePath}`);
+};
+
+const printSummary = (rows) => {
+  const byOrder = new Map();
+  for (const { order, status } of rows) {
+    const counts = byOrder.get(order) || {};
+    counts[status] = (counts[status] || 0) + 1;
+    byOrder.set(order, counts);
+  }
+  console.log('\n--- Recovery summary ---');
+  console.table(Object.fromEntries(byOrder));
 
-      // --- Proper Error Checking ---
-      const tagsErrors = response.data?.tagsAdd?.userErrors || [];
-      const orderUpdateErrors = response.data?.orderUpdate?.userErrors || [];
+  const totals = {};
+  for (const { status } of rows) totals[status] = (totals[status] || 0) + 1;
+  console.log(Object.entries(totals).map(([status, count]) => `${status}: ${count}`).join(', ') || 'Nothing to do.');
+};
 
-      if (tagsErrors.length > 0 || orderUpdateErrors.length > 0) {
-        console.error("  -> ❌ Shopify API returned errors when updating order:", {
-          tagsErrors,
-          orderUpdateErrors,
-        });
-      } else {
-        console.log(`  -> ✅ Successfully updated order ${payload.name}.`);
-      }
-      
-    } else {
-      console.log("  -> No custom items found in this order.");
-    }
+async function main() {
+  let options;
+  try {
+    options = parseCommandLine(process.argv.slice(2));
   } catch (error) {
-    console.error(
-      `  -> ❌ An error occurred while processing order ${payload.name}:`,
-      error.message
-    );
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  if (options.help || !options.command) {
+    console.log(USAGE);
+    return options.help ? 0 : 1;
+  }
+  if (!options.shop) {
+    console.error('No shop given: set SHOP_URL or pass --shop.');
+    return 1;
+  }
+  try {
+    options.accessToken = await accessTokenForShop(options.shop);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
   }
-}
-
-// --- SCRIPT ORCHESTRATOR (FINAL VERSION) ---
-async function main() {
-  console.log("Starting manual recovery process...");
-  const shopUrl = process.env.SHOP_URL;
-
-  const fileContent = fs.readFileSync('orders.csv', 'utf-8');
-  const rows = fileContent.trim().split('\n');
-  rows.shift(); // Remove the header row
-  const ordersToProcess = rows.map(row => ({ OrderNumber: row.trim() }));
-  console.log(`Found ${ordersToProcess.length} order(s) to process.`);
 
-  const client = new shopify.clients.Graphql({ session: { shop: shopUrl, accessToken: process.env.SHOPIFY_ACCESS_TOKEN } });
+  if (options.command === 'reconcile') {
+    const summary = await reconcileOrders(options.shop, {
+      accessToken: options.accessToken,
+      since: options.since,
+      dryRun: options['dry-run'],
+    });
+    console.table({ checked: summary.checked, missed: summary.missed.length, recovered: summary.recovered.length, errors: summary.errors.length });
+    return summary.errors.length > 0 ? 2 : 0;
+  }
 
-  for (const row of ordersToProcess) {
-    const orderName = row.OrderNumber;
-    if (!orderName) continue;
-    console.log(`\n--- Processing Order: ${orderName} ---`);
-    try {
-      const response = await client.request(
-        `query($query: String!) {
-          orders(first: 1, query: $query) {
-            edges {
-              node {
-                id
-                name
-                note
-                tags
-                lineItems(first: 20) {
-                  edges {
-                    node {
-                      id
-                      title
-                      variantTitle
-                      customAttributes { key value }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }`, { variables: { query: `name:${orderName}` } }
-      );
-      const orderNode = response.data.orders.edges[0]?.node;
+  console.log(`Starting recovery on ${options.shop}${options['dry-run'] ? ' (dry run)' : ''}...`);
+  const rows = [];
+  const queue = createQueue({
+    concurrency: options.concurrency,
+    maxAttempts: 1,
+    worker: async (job) => {
+      console.log(`\n--- Processing Order: ${job.name} ---`);
+      rows.push(...(await recoverOrder(job, options)));
+    },
+    onDeadLetter: (job, error) => {
+      console.error(`  -> ❌ An error occurred while processing order ${job.name}:`, error.userErrors || error.message);
+      rows.push({ order: job.name, lineItemId: '', callSign: '', status: 'error', detail: error.message });
+    },
+  });
 
-      if (orderNode) {
-        if (orderNode.tags.includes("has_custom_design")) {
-          console.log(`  -> ⏭️ Order has the 'has_custom_design' tag. Skipping.`);
-          continue;
-        }
-        
-        // CRITICAL FIX: This block reformats the GraphQL data to perfectly mimic a webhook payload
-        const formattedPayload = {
-          name: orderNode.name,
-          note: orderNode.note,
-          admin_graphql_api_id: orderNode.id,
-          line_items: orderNode.lineItems.edges.map((edge) => {
-            // Extract the simple numeric ID from the full GID string
-            const numericId = edge.node.id.split('/').pop();
-            return {
-              id: Number(numericId), // The simple numeric ID
-              title: edge.node.title,
-              variant_title: edge.node.variantTitle, // Match the webhook format
-              properties: edge.node.customAttributes.map(attr => ({
-                  name: attr.key,
-                  value: attr.value,
-              })),
-            }
-          }),
-        };
-        await processOrderPayload(formattedPayload, shopUrl);
-      } else {
-        console.log(`  -> Order ${orderName} not found in Shopify.`);
-      }
-    } catch (error) {
-      console.error(`  -> ❌ A critical error occurred fetching order ${orderName}:`, error.message);
+  try {
+    for await (const entry of ordersToProcess(options)) {
+      queue.push({ id: entry.name, ...entry });
     }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    await queue.onIdle();
+    return 1;
   }
-  console.log("\n--- Manual recovery process complete. ---");
+  await queue.onIdle();
+
+  printSummary(rows);
+  if (options.report) writeReport(options.report, rows);
+  return rows.some((row) => row.status === 'failed' || row.status === 'error') ? 2 : 0;
 }
 
-main();
\ No newline at end of file
+main().then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,274 @@
+import crypto from 'crypto';
+import express from 'express';
+import JSZip from 'jszip';
+import sharp from 'sharp';
+import { ledger, ITEM_STATUS } from './ledger.js';
+import { storageForShop } from './storage/index.js';
+import { designLink } from './links.js';
+import { escapeXml as escape } from './callSign.js';
+import { fieldsForItem, primaryField, validateFields } from './personalization.js';
+import { processOrderPayload } from './pipeline.js';
+import { fetchOrderById } from './orders.js';
+import { accessTokenForShop } from './sessions.js';
+import { log } from './logger.js';
+
+// --- ADMIN DASHBOARD ---
+// /admin lists the design jobs in the ledger, newest first, with a thumbnail,
+// status, error and download link for each. Staff can set a different call
+// sign or template for a line item and re-render it: the stored package is
+// replaced and the order's tags, metafield and note are updated.
+//
+// Protected by HTTP basic auth (ADMIN_USERNAME, default "admin", and
+// ADMIN_PASSWORD); without ADMIN_PASSWORD the dashboard is switched off. Forms
+// carry a token derived from the password so other sites cannot post them.
+
+const PAGE_SIZE = 50;
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_CACHE_MAX_ENTRIES = 200;
+export const ADMIN_RERENDER_TAG = 'admin_rerender';
+
+const safeEqual = (a, b) => {
+  const expected = crypto.createHash('sha256').update(String(b)).digest();
+  const actual = crypto.createHash('sha256').update(String(a)).digest();
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const csrfToken = (user) =>
+  crypto.createHmac('sha256', process.env.ADMIN_PASSWORD).update(`admin-form:${user}`).digest('base64url');
+
+const requireAdmin = (req, res, next) => {
+  if (!process.env.ADMIN_PASSWORD) {
+    return res.status(503).send('The admin dashboard is disabled. Set ADMIN_PASSWORD to enable it.');
+  }
+  const [scheme, encoded = ''] = (req.get('authorization') || '').split(' ');
+  const credentials = Buffer.from(encoded, 'base64').toString('utf-8');
+  const separator = credentials.indexOf(':');
+  const user = credentials.slice(0, separator);
+  const password = credentials.slice(separator + 1);
+  if (
+    scheme === 'Basic' && separator !== -1 &&
+    safeEqual(user, process.env.ADMIN_USERNAME || 'admin') &&
+    safeEqual(password, process.env.ADMIN_PASSWORD)
+  ) {
+    req.adminUser = user;
+    return next();
+  }
+  res.set('WWW-Authenticate', 'Basic realm="Design admin", charset="UTF-8"');
+  res.status(401).send('Authentication required');
+};
+
+// Ledger items are keyed by order GID; URLs carry only the numeric part
+const orderGid = (orderId) => `gid://shopify/Order/${orderId}`;
+const jobPath = (record) => `/admin/jobs/${record.orderId.split('/').pop()}/${record.lineItemId}`;
+
+const filterJobs = ({ status, shop, q }) => {
+  const search = (q || '').trim().toLowerCase();
+  return ledger.allItems()
+    .filter((record) => !status || record.status === status)
+    .filter((record) => !shop || record.shop === shop)
+    .filter((record) => !search || [record.orderName, record.callSign, record.title]
+      .some((value) => String(value || '').toLowerCase().includes(search)))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+};
+
+const jobRow = (record, token) => {
+  const thumbnail = record.outputKey
+    ? `<img src="${jobPath(record)}/thumbnail?v=${encodeURIComponent(record.renderedAt || '')}" width="${THUMBNAIL_WIDTH}" alt="">`
+    : '';
+  const download = record.outputKey
+    ? `<a href="${escape(designLink(record.orderName, record.lineItemId, record.shop))}">Download</a>`
+    : '';
+  return `<tr>
+    <td>${thumbnail}</td>
+    <td><strong>${escape(record.orderName || record.orderId)}</strong><br>${escape(record.title || '')}
+      <br><small>${escape(record.shop || '')}</small></td>
+    <td class="status ${escape(record.status)}">${escape(record.status)}</td>
+    <td>${escape(record.callSign || '')}<br><small>${escape(record.templateKey || '')}${record.style ? ` (${escape(record.style)})` : ''}</small></td>
+    <td class="error">${escape(record.error || '')}</td>
+    <td><small>${escape(record.updatedAt || '')}</small><br>${download}</td>
+    <td>
+      <form method="post" action="${jobPath(record)}">
+        <input type="hidden" name="_csrf" value="${token}">
+        <input name="callSign" placeholder="Call sign" value="${escape(record.callSignOverride || '')}">
+        <input name="template" placeholder="Template key" value="${escape(record.templateOverride || '')}">
+        <input name="style" placeholder="Style" size="6" value="${escape(record.styleOverride || '')}">
+        <button>Re-render</button>
+      </form>
+    </td>
+  </tr>`;
+};
+
+const page = ({ records, query, pageNumber, pageCount, token }) => {
+  const counts = {};
+  for (const record of ledger.allItems()) counts[record.status] = (counts[record.status] || 0) + 1;
+  const link = (changes) => `/admin?${new URLSearchParams({ ...query, ...changes })}`;
+  const notice = query.message ? `<p class="notice">${escape(query.message)}</p>` : '';
+  const problem = query.error ? `<p class="notice problem">${escape(query.error)}</p>` : '';
+
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Design jobs</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: .5rem; text-align: left; vertical-align: top; }
+    img { background: #ccc; }
+    .status { font-weight: bold; }
+    .failed, .review, .problem { color: #b00020; }
+    .done { color: #1b7f3b; }
+    .error { max-width: 20rem; font-size: .9em; }
+    .notice { padding: .5rem 1rem; background: #eef6ee; }
+    .problem { background: #fbeaea; }
+    form input { margin-bottom: .25rem; }
+  </style>
+</head>
+<body>
+  <h1>Design jobs</h1>
+  <p>${Object.values(ITEM_STATUS)
+    .map((status) => `<a href="${link({ status, page: 1 })}">${status}: ${counts[status] || 0}</a>`)
+    .join(' · ')} · <a href="/admin">all</a></p>
+  ${notice}${problem}
+  <form method="get" action="/admin">
+    <input name="q" placeholder="Order, call sign or product" value="${escape(query.q || '')}">
+    <input type="hidden" name="status" value="${escape(query.status || '')}">
+    <button>Search</button>
+  </form>
+  <p><small>Leave the call sign or template empty to use the order's call sign and the template rules.</small></p>
+  <table>
+    <tr><th></th><th>Order</th><th>Status</th><th>Call sign / template</th><th>Error</th><th>Updated</th><th>Edit</th></tr>
+    ${records.map((record) => jobRow(record, token)).join('\n')}
+  </table>
+  <p>Page ${pageNumber} of ${pageCount}
+    ${pageNumber > 1 ? `<a href="${link({ page: pageNumber - 1 })}">Previous</a>` : ''}
+    ${pageNumber < pageCount ? `<a href="${link({ page: pageNumber + 1 })}">Next</a>` : ''}</p>
+</body>
+</html>`;
+};
+
+// Thumbnails of finished packages, keyed by storage key and render time
+const thumbnails = new Map();
+
+const thumbnailFor = async (record) => {
+  const cacheKey = `${record.outputKey}|${record.renderedAt}`;
+  if (thumbnails.has(cacheKey)) return thumbnails.get(cacheKey);
+
+  const zip = await JSZip.loadAsync(await storageForShop(record.shop).getDesign(record.outputKey));
+  const image = zip.file('preview.jpg') || zip.file('design.png');
+  if (!image) return null;
+  const thumbnail = await sharp(await image.async('nodebuffer'))
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .png()
+    .toBuffer();
+
+  thumbnails.set(cacheKey, thumbnail);
+  while (thumbnails.size > THUMBNAIL_CACHE_MAX_ENTRIES) {
+    thumbnails.delete(thumbnails.keys().next().value);
+  }
+  return thumbnail;
+};
+
+// Saves the staff overrides and re-renders the one line item in place.
+// Returns the message for the dashboard; throws with a `userMessage` when the
+// input is rejected.
+const rerenderJob = async (record, { callSign, template, style }, adminUser) => {
+  const rejected = (message) => Object.assign(new Error(message), { userMessage: message });
+  const shop = record.shop || process.env.SHOP_URL;
+  const accessToken = await accessTokenForShop(shop);
+  const order = await fetchOrderById(shop, record.orderId, { accessToken });
+  const item = order?.line_items.find((lineItem) => String(lineItem.id) === String(record.lineItemId));
+  if (!item) throw rejected(`Line item ${record.lineItemId} is no longer on order ${record.orderName}.`);
+
+  // The override replaces the first text field, which is the call sign on
+  // single-field products
+  const callSignOverride = String(callSign || '').trim() || null;
+  if (callSignOverride) {
+    const fields = fieldsForItem(item, shop);
+    const field = fields.find((candidate) => candidate.name === primaryField(fields));
+    if (!field) throw rejected(`"${record.title}" has no text field to override.`);
+    const check = validateFields({ [field.name]: callSignOverride }, [field], item, shop);
+    if (!check.ok) throw rejected(`Call sign "${callSignOverride}" rejected: ${check.reason}`);
+  }
+  const templateOverride = String(template || '').trim() || null;
+  if (templateOverride && !(await storageForShop(shop).templateExists(templateOverride))) {
+    throw rejected(`Template ${templateOverride} does not exist in storage.`);
+  }
+
+  await ledger.upsertItem(record.orderId, record.lineItemId, {
+    callSignOverride,
+    templateOverride,
+    styleOverride: String(style || '').trim() || null,
+    editedBy: adminUser,
+    editedAt: new Date().toISOString(),
+  });
+  log.info('Admin re-render', { adminUser, shop, orderId: record.orderId, orderName: record.orderName, lineItemId: record.lineItemId });
+  const result = await processOrderPayload(order, shop, {
+    accessToken,
+    force: true,
+    replace: true,
+    lineItemIds: [record.lineItemId],
+    extraTags: [ADMIN_RERENDER_TAG],
+  });
+
+  const [design] = result.designs;
+  const [failure] = [...result.failures, ...result.reviews];
+  if (design) return `Re-rendered ${record.orderName} "${record.title}" as ${design.callSign} (${design.templateKey}).`;
+  throw rejected(`Re-render of ${record.orderName} "${record.title}" failed: ${failure?.reason || 'nothing was rendered'}`);
+};
+
+export const adminRouter = () => {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.get('/', (req, res) => {
+    const query = Object.fromEntries(
+      ['status', 'shop', 'q', 'message', 'error']
+        .filter((name) => typeof req.query[name] === 'string' && req.query[name])
+        .map((name) => [name, req.query[name]])
+    );
+    const records = filterJobs(query);
+    const pageCount = Math.max(1, Math.ceil(records.length / PAGE_SIZE));
+    const pageNumber = Math.min(pageCount, Math.max(1, Number(req.query.page) || 1));
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(page({
+      records: records.slice((pageNumber - 1) * PAGE_SIZE, pageNumber * PAGE_SIZE),
+      query,
+      pageNumber,
+      pageCount,
+      token: csrfToken(req.adminUser),
+    }));
+  });
+
+  router.get('/jobs/:orderId/:lineItemId/thumbnail', async (req, res) => {
+    const record = ledger.getItem(orderGid(req.params.orderId), Number(req.params.lineItemId));
+    if (!record?.outputKey) return res.status(404).send('No design');
+    try {
+      const thumbnail = await thumbnailFor(record);
+      if (!thumbnail) return res.status(404).send('No image in package');
+      res.set('Cache-Control', 'private, max-age=300');
+      res.type('png').send(thumbnail);
+    } catch (error) {
+      log.error('Failed to render thumbnail', { key: record.outputKey, error });
+      res.status(500).send('Could not render thumbnail');
+    }
+  });
+
+  router.post('/jobs/:orderId/:lineItemId', express.urlencoded({ extended: false }), async (req, res) => {
+    if (!safeEqual(req.body._csrf || '', csrfToken(req.adminUser))) {
+      return res.status(403).send('Invalid form token; reload the page and try again.');
+    }
+    const record = ledger.getItem(orderGid(req.params.orderId), Number(req.params.lineItemId));
+    if (!record) return res.status(404).send('Unknown design job');
+
+    try {
+      const message = await rerenderJob(record, req.body, req.adminUser);
+      res.redirect(303, `/admin?${new URLSearchParams({ message })}`);
+    } catch (error) {
+      if (!error.userMessage) log.error('Admin re-render failed', { orderId: record.orderId, lineItemId: record.lineItemId, error });
+      res.redirect(303, `/admin?${new URLSearchParams({ error: error.userMessage || `Re-render failed: ${error.message}` })}`);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,334 @@
+import crypto from 'crypto';
+import express from 'express';
+import { shopify } from './clients.js';
+import { ledger } from './ledger.js';
+import { createQueue } from './queue.js';
+import { storage } from './storage/index.js';
+import { verifyDesignToken, findDesign } from './links.js';
+import { renderPreview } from './preview.js';
+import { rateLimit } from './rateLimit.js';
+import { sessionStore, installedShops } from './sessions.js';
+import { registerWebhooks, topicHandlers, handleWebhook } from './webhooks.js';
+import { adminRouter } from './admin.js';
+import { registerMetafieldDefinitions } from './metafieldDefinitions.js';
+import { createHealthCheck } from './health.js';
+import { log } from './logger.js';
+import { renderMetrics, webhooksReceived, queueJobs } from './metrics.js';
+
+// A link opened from the Shopify admin carries Shopify's signature instead of
+// a design token. Returns the signed shop if it has the app installed, else
+// null. The signature covers only the shop, not the order, so the route
+// still checks that the design belongs to it.
+const signedAdminShop = async (query) => {
+  if (!query.hmac || !query.timestamp) return null;
+  if (Math.abs(Date.now() / 1000 - Number(query.timestamp)) > 300) return null;
+  if (!await shopify.utils.validateHmac(query).catch(() => false)) return null;
+  const shop = shopify.utils.sanitizeShop(String(query.shop || ''));
+  return shop && (await installedShops()).includes(shop) ? shop : null;
+};
+
+// Query parameters of /preview that describe the line item rather than its
+// properties.
+const PREVIEW_ITEM_PARAMS = ['shop', 'product', 'variant', 'sku', 'title', 'variant_title'];
+
+// TRUST_PROXY is handed to Express's "trust proxy" setting: "true", a hop
+// count, or addresses/subnets such as "loopback" or "10.0.0.0/8". Behind a
+// load balancer it must be set, or req.ip is the balancer for every request.
+const trustProxySetting = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+// Whether the request carries METRICS_TOKEN as a bearer token. /metrics is
+// open while no token is set; /healthz only ever shows its details to it.
+const hasMetricsToken = (req) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return false;
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.get('Authorization') || '');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Deliveries are acknowledged before they run, and the queue lives in memory:
+// the ones still queued, running or waiting for a retry when the process
+// stopped are pushed again from the body kept in the ledger. Records from
+// before bodies were kept cannot be run and are marked failed (the reconciler
+// still finds their orders). Returns how many were queued.
+const resumeWebhooks = (webhookQueue) => {
+  let resumed = 0;
+  for (const { id, topic, shop, orderId, body } of ledger.unfinishedWebhooks()) {
+    if (!body) {
+      log.warn('Unfinished webhook has no stored body, marking it failed', { webhookId: id, topic, shop });
+      ledger.recordWebhook(id, { status: 'failed', error: 'interrupted by a restart before its body was kept' })
+        .catch((error) => log.error('Could not update webhook record', { webhookId: id, error }));
+      continue;
+    }
+    if (webhookQueue.push({ id, topic, shop, body, lane: orderId })) resumed++;
+  }
+  if (resumed > 0) log.info('Resumed unfinished webhooks', { resumed });
+  return resumed;
+};
+
+// --- EXPRESS APP ---
+// Builds the app with its routes and webhook queue but does not listen or
+// touch Shopify, so tests can drive it directly. index.js starts it.
+export const createApp = () => {
+  // --- WEBHOOK QUEUE ---
+  // Topics and their handlers live in src/webhooks.js.
+  const webhookQueue = createQueue({
+    worker: handleWebhook,
+    concurrency: Number(process.env.QUEUE_CONCURRENCY) || 2,
+    maxAttempts: Number(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+    baseDelayMs: Number(process.env.QUEUE_BASE_DELAY_MS) || 2000,
+    onDeadLetter: async (job, error) => {
+      await ledger.addDeadLetter({
+        id: job.id,
+        topic: job.topic,
+        shop: job.shop,
+        orderId: ledger.getWebhook(job.id)?.orderId || null,
+        attempts: job.attempts,
+        error: error.message,
+        failedAt: job.failedAt,
+      });
+      await ledger.recordWebhook(job.id, { status: 'failed', error: error.message });
+    },
+  });
+
+  queueJobs.collectWith((gauge) => {
+    const { waiting, running, retrying, deadLetters } = webhookQueue.stats();
+    gauge.set({ state: 'waiting' }, waiting);
+    gauge.set({ state: 'running' }, running);
+    gauge.set({ state: 'retrying' }, retrying);
+    gauge.set({ state: 'dead_letter' }, deadLetters);
+  });
+
+  // --- EXPRESS SERVER SETUP ---
+  const app = express();
+  if (process.env.TRUST_PROXY) app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
+  // With the local storage driver the app serves the packages itself, to
+  // the short-lived URLs /designs redirects to and nobody else
+  if (storage.name === 'local') {
+    app.use('/storage', (req, res, next) => {
+      const key = decodeURIComponent(req.path.slice(1));
+      if (!storage.verifySignedUrl(key, req.query)) {
+        return res.status(403).send('Invalid or expired download link');
+      }
+      next();
+    }, express.static(storage.designsDir, { index: false }));
+  }
+
+  // --- INSTALLATION (OAUTH) ---
+  // Installing from /auth?shop=<shop>.myshopify.com stores the shop's offline
+  // token (src/sessions.js) and registers its webhooks.
+  app.get('/auth', async (req, res) => {
+    const shop = shopify.utils.sanitizeShop(String(req.query.shop || ''));
+    if (!shop) {
+      return res.status(400).send('Missing or invalid shop parameter');
+    }
+    try {
+      await shopify.auth.begin({
+        shop,
+        callbackPath: '/auth/callback',
+        isOnline: false,
+        rawRequest: req,
+        rawResponse: res,
+      });
+    } catch (error) {
+      log.error('Failed to start OAuth', { shop, error });
+      if (!res.headersSent) { res.status(500).send('Could not start installation'); }
+    }
+  });
+
+  app.get('/auth/callback', async (req, res) => {
+    try {
+      const { session } = await shopify.auth.callback({ rawRequest: req, rawResponse: res });
+      await sessionStore.storeSession(session);
+      log.info('App installed', { shop: session.shop });
+      await registerWebhooks(session.shop, session.accessToken);
+      await registerMetafieldDefinitions(session.shop, session.accessToken);
+      res.redirect(`https://${session.shop}/admin/apps/${process.env.SHOPIFY_API_KEY}`);
+    } catch (error) {
+      log.error('OAuth callback failed', { error });
+      if (!res.headersSent) { res.status(400).send('Installation failed'); }
+    }
+  });
+
+  // Verify and enqueue only: rendering can take longer than Shopify's 5 second
+  // timeout, so the delivery is acknowledged before any work starts.
+  // Every delivery is counted in design_app_webhooks_received_total by topic
+  // ("unknown" when the signature check failed) and what became of it.
+  app.post('/webhooks', express.raw({ type: 'application/json' }), async (req, res) => {
+    let topic = 'unknown';
+    try {
+      const rawBody = req.body.toString('utf-8');
+      const check = await shopify.webhooks.validate({ rawBody, rawRequest: req, rawResponse: res });
+      if (!check.valid) {
+        webhooksReceived.inc({ topic, result: 'invalid' });
+        log.warn('Rejected webhook', { reason: check.reason });
+        return res.status(401).send('Invalid webhook');
+      }
+      topic = check.topic;
+      const fields = { webhookId: check.webhookId, topic, shop: check.domain };
+      if (!topicHandlers[topic]) {
+        webhooksReceived.inc({ topic, result: 'unhandled' });
+        log.warn('No handler for webhook topic, ignoring', fields);
+        return res.status(200).send();
+      }
+
+      // Shopify retries deliveries with the same webhook ID; only the first one counts
+      const previous = ledger.getWebhook(check.webhookId);
+      if (previous?.status === 'done' || webhookQueue.has(check.webhookId)) {
+        webhooksReceived.inc({ topic, result: 'duplicate' });
+        log.info('Webhook was already received, ignoring duplicate', fields);
+        return res.status(200).send();
+      }
+
+      // APP_UNINSTALLED carries the shop's ID here, not an order's
+      const orderId = check.topic.startsWith('ORDERS_') ? JSON.parse(rawBody).admin_graphql_api_id || null : null;
+
+      // ORDERS_UPDATED fires for every order in the shop, and again for the
+      // app's own writes; only orders with custom items (or an ORDERS_CREATE
+      // still to run) are worth keeping, see ordersUpdated in src/webhooks.js
+      if (topic === 'ORDERS_UPDATED' && ledger.itemsForOrder(orderId).length === 0 &&
+          !ledger.unfinishedWebhooks().some((webhook) => webhook.orderId === orderId)) {
+        webhooksReceived.inc({ topic, result: 'ignored' });
+        log.debug('Order has no custom designs, ignoring update', fields);
+        return res.status(200).send();
+      }
+      await ledger.recordWebhook(check.webhookId, {
+        shop: check.domain,
+        topic: check.topic,
+        orderId,
+        status: 'queued',
+        error: null,
+        // Kept until the job is done so a restart can run it again
+        body: rawBody,
+      });
+      // One order's deliveries run one after another: an ORDERS_UPDATED right
+      // behind ORDERS_CREATE would otherwise render the items it has not
+      // reached yet and race it writing to the order
+      webhookQueue.push({ id: check.webhookId, topic: check.topic, shop: check.domain, body: rawBody, lane: orderId });
+      webhooksReceived.inc({ topic, result: 'queued' });
+      log.info('Queued webhook', { ...fields, queue: webhookQueue.stats() });
+      res.status(200).send();
+    } catch (error) {
+      webhooksReceived.inc({ topic, result: 'error' });
+      log.error('Failed to queue webhook', { topic, error });
+      if (!res.headersSent) { res.status(500).send(error.message); }
+    }
+  });
+
+  // --- DESIGN DOWNLOADS ---
+  // Order notes link here instead of to the bucket. The link's token (or a
+  // Shopify admin link signature from the shop the design belongs to) is
+  // checked, then the caller is redirected to a short-lived signed URL for the
+  // package.
+
+  app.get('/designs/:order/:lineItem', async (req, res) => {
+    const { order, lineItem } = req.params;
+    try {
+      const hasToken = verifyDesignToken(order, lineItem, req.query.token);
+      const adminShop = hasToken ? null : await signedAdminShop(req.query);
+      if (!hasToken && !adminShop) {
+        return res.status(403).send('Invalid or missing download token');
+      }
+
+      const shop = adminShop || shopify.utils.sanitizeShop(String(req.query.shop || ''));
+      const design = await findDesign(order, lineItem, shop);
+      if (!design) {
+        return res.status(404).send('Design not found');
+      }
+      if (adminShop && design.shop !== adminShop) {
+        log.warn('Refused a design to another shop\'s admin', { order, lineItem, shop: adminShop });
+        return res.status(403).send('Invalid or missing download token');
+      }
+      const expiresIn = Number(process.env.DESIGN_LINK_TTL_SECONDS) || 300;
+      res.redirect(302, await design.storage.signedUrl(design.key, expiresIn));
+    } catch (error) {
+      log.error('Failed to serve design', { order, lineItem, error });
+      res.status(500).send('Could not create download link');
+    }
+  });
+
+  // --- ADMIN DASHBOARD ---
+  // Design jobs, thumbnails and re-rendering for support staff (src/admin.js)
+  app.use('/admin', adminRouter());
+
+  // --- STOREFRONT PREVIEW ---
+  // Public and rate limited: the theme calls it while the customer types, e.g.
+  // /preview?shop=acme.myshopify.com&product=123&variant=456&variant_title=White%20%2F%20XL&call_sign=AB12
+  // Every other parameter is taken as a line item property, so products with
+  // several fields pass them all (e.g. &Name=SMITH&Number=10). `shop` must
+  // have the app installed. PREVIEW_RATE_LIMIT requests a minute are allowed
+  // per visitor IP, which behind a proxy or load balancer is only right with
+  // TRUST_PROXY set.
+  app.get('/preview', rateLimit({
+    windowMs: 60 * 1000,
+    max: Number(process.env.PREVIEW_RATE_LIMIT) || 30,
+  }), async (req, res) => {
+    res.set('Access-Control-Allow-Origin', process.env.PREVIEW_ALLOWED_ORIGIN || '*');
+    const { product, variant, sku, title, variant_title: variantTitle } = req.query;
+    const properties = Object.entries(req.query)
+      .filter(([name]) => !PREVIEW_ITEM_PARAMS.includes(name))
+      .map(([name, value]) => ({ name, value: String(value) }));
+    if (!product || properties.length === 0) {
+      return res.status(400).json({ error: 'product and a personalization value (e.g. call_sign) are required' });
+    }
+    const shop = req.query.shop ? shopify.utils.sanitizeShop(String(req.query.shop)) : null;
+    if (req.query.shop && !shop) {
+      return res.status(400).json({ error: 'invalid shop' });
+    }
+    // Config and storage are cached per shop for good, so strangers' made-up
+    // domains must not reach them
+    if (shop && !(await installedShops()).includes(shop)) {
+      return res.status(400).json({ error: 'unknown shop' });
+    }
+
+    try {
+      const png = await renderPreview({
+        product_id: product,
+        variant_id: variant,
+        sku,
+        title: title || '',
+        variant_title: variantTitle || '',
+        properties,
+      }, shop);
+      res.set('Cache-Control', 'public, max-age=300');
+      res.type('png').send(png);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      log.error('Failed to render preview', { product, variant, error });
+      res.status(500).json({ error: 'Could not render preview' });
+    }
+  });
+
+  // --- HEALTH AND METRICS ---
+  // /healthz answers 503 when a storage or a shop's token fails its check
+  // (src/health.js). Anyone gets { status }; the checks, which name every
+  // installed shop and quote storage and Shopify errors, and the webhook
+  // queue come only with the METRICS_TOKEN bearer. /metrics is scraped by
+  // Prometheus (src/metrics.js lists what to alert on).
+  const checkHealth = createHealthCheck({
+    cacheMs: Number(process.env.HEALTHZ_CACHE_SECONDS ?? 30) * 1000,
+  });
+
+  app.get('/healthz', async (req, res) => {
+    const report = await checkHealth();
+    res.set('Cache-Control', 'no-store');
+    res.status(report.status === 'ok' ? 200 : 503)
+      .json(hasMetricsToken(req) ? { ...report, queue: webhookQueue.stats() } : { status: report.status });
+  });
+
+  app.get('/metrics', (req, res) => {
+    if (process.env.METRICS_TOKEN && !hasMetricsToken(req)) {
+      return res.status(401).send('Invalid or missing metrics token');
+    }
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+  });
+
+  return { app, webhookQueue, resumeWebhooks: () => resumeWebhooks(webhookQueue) };
+};
@@ -0,0 +1,78 @@
+import { productSettings } from './config.js';
+
+// --- CALL SIGN VALIDATION ---
+// Rules come from config/call-signs.json (per product, see src/config.js):
+//
+//   trim               - strip leading/trailing whitespace
+//   collapseWhitespace - turn runs of whitespace into a single space
+//   uppercase          - force upper case before checking
+//   minLength/maxLength
+//   allowedCharacters  - regex character-class body, e.g. "A-Z0-9 \\-"
+//   blocklist          - words that send the order to review; matched with
+//                        spaces and punctuation removed, so "F.O.O" hits "foo"
+
+export const DEFAULT_RULES = {
+  trim: true,
+  collapseWhitespace: true,
+  uppercase: true,
+  minLength: 1,
+  maxLength: 12,
+  allowedCharacters: 'A-Z0-9 \\-',
+  blocklist: [],
+};
+
+export const rulesForItem = (item, shop = null) => ({
+  ...DEFAULT_RULES,
+  ...productSettings('call-signs', item, shop),
+});
+
+export const normalizeCallSign = (value, rules = DEFAULT_RULES) => {
+  let callSign = String(value ?? '');
+  if (rules.trim) callSign = callSign.trim();
+  if (rules.collapseWhitespace) callSign = callSign.replace(/\s+/g, ' ');
+  if (rules.uppercase) callSign = callSign.toUpperCase();
+  return callSign;
+};
+
+// Returns { ok: true, value } with the normalized call sign, or
+// { ok: false, value, reason } explaining why it needs a human to look at it.
+// The same rules check the other text fields of a personalization
+// (src/personalization.js), which name themselves in the reason with `label`.
+export const validateCallSign = (rawValue, rules = DEFAULT_RULES, label = 'call sign') => {
+  const value = normalizeCallSign(rawValue, rules);
+
+  if (value.length < rules.minLength) {
+    return { ok: false, value, reason: `${label} is empty` };
+  }
+  if (value.length > rules.maxLength) {
+    return { ok: false, value, reason: `${label} is longer than ${rules.maxLength} characters` };
+  }
+  if (rules.allowedCharacters) {
+    const disallowed = value.match(new RegExp(`[^${rules.allowedCharacters}]`, 'gu'));
+    if (disallowed) {
+      const characters = [...new Set(disallowed)].join(' ');
+      return { ok: false, value, reason: `${label} contains characters that are not allowed: ${characters}` };
+    }
+  }
+
+  const squash = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  const squashed = squash(value);
+  const blocked = (rules.blocklist || [])
+    .map(squash)
+    .find((word) => word && squashed.includes(word));
+  if (blocked) {
+    return { ok: false, value, reason: `${label} matches the blocklist` };
+  }
+
+  return { ok: true, value };
+};
+
+// --- ESCAPING ---
+// Call signs are drawn through Pango/SVG markup, so every value must be
+// escaped before it reaches the renderer.
+export const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
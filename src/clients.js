@@ -0,0 +1,20 @@
+import '@shopify/shopify-api/adapters/node';
+import { shopifyApi, LATEST_API_VERSION, LogSeverity } from '@shopify/shopify-api';
+
+// --- INITIALIZE CLIENTS (shared by the web app and the scripts) ---
+// Template and design files go through src/storage instead of a client here.
+export const shopify = shopifyApi({
+  apiKey: process.env.SHOPIFY_API_KEY,
+  apiSecretKey: process.env.SHOPIFY_API_SECRET,
+  scopes: ['read_orders', 'write_orders', 'write_files'],
+  // Scripts run without HOST; the host name only matters for the web app.
+  hostName: (process.env.HOST || 'localhost').replace(/https?:\/\//, ''),
+  apiVersion: LATEST_API_VERSION,
+  isEmbeddedApp: false,
+  logger: { level: LogSeverity.Info },
+});
+
+// Tokens come from the shop's installation, see accessTokenForShop in
+// src/sessions.js.
+export const graphqlClient = (shop, accessToken) =>
+  new shopify.clients.Graphql({ session: { shop, accessToken } });
@@ -0,0 +1,51 @@
+import fs from 'fs';
+import path from 'path';
+
+// --- CONFIG FILES ---
+// Settings that vary per product live in JSON files under config/ (or
+// CONFIG_DIR). Most files have this shape (templates.json and notes.json
+// have their own, see src/templates.js and src/orderUpdate.js):
+//
+// {
+//   "default":  { ...settings for every product },
+//   "products": { "<product id or product title>": { ...overrides } }
+// }
+//
+// A shop can have its own copy of any file in config/shops/<shop domain>/,
+// which then replaces the shared one for that shop's orders.
+//
+// Files are read once and cached; a missing file counts as empty.
+
+const configDir = () => process.env.CONFIG_DIR || path.resolve('config');
+const cache = new Map();
+
+const readConfigFile = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Could not read config ${filePath}: ${error.message}`);
+  }
+};
+
+export const loadConfig = (name, shop = null) => {
+  const cacheKey = `${shop || ''}/${name}`;
+  if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+  if (shop && path.basename(shop) !== shop) throw new Error(`Invalid shop domain "${shop}"`);
+  const shopConfig = shop ? readConfigFile(path.join(configDir(), 'shops', shop, `${name}.json`)) : null;
+  const config = shopConfig || readConfigFile(path.join(configDir(), `${name}.json`)) || {};
+  cache.set(cacheKey, config);
+  return config;
+};
+
+// Merges the file's defaults with the overrides for the line item's product,
+// looked up by product ID first and then by product title.
+export const productSettings = (name, item, shop = null) => {
+  const config = loadConfig(name, shop);
+  const products = config.products || {};
+  const overrides = products[String(item.product_id)] || products[item.title] || {};
+  return { ...config.default, ...overrides };
+};
+
+export const clearConfigCache = () => cache.clear();
@@ -0,0 +1,85 @@
+import { graphqlClient } from './clients.js';
+import { storageForShop } from './storage/index.js';
+import { accessTokenForShop, installedShops } from './sessions.js';
+import { log } from './logger.js';
+
+// --- HEALTH CHECK ---
+// What /healthz reports (in full only to the METRICS_TOKEN bearer, see
+// src/app.js): whether every storage in use (the shared one and any
+// shop's own, see src/storage/index.js) accepts its credentials, and whether
+// every installed shop's token still works against the Admin API.
+//
+//   { "status": "ok" | "failing",
+//     "checks": { "storage": [{ "name", "driver", "ok", "error"? }],
+//                 "shopify": [{ "shop", "ok", "error"? }] } }
+//
+// Storage is checked by looking up a template and listing designs under a
+// prefix that holds none, which fails on bad credentials or a missing bucket
+// but reads nothing. A result is reused for `cacheMs` so a load balancer
+// polling the route does not eat into each shop's API rate limit.
+
+const HEALTH_PROBE_KEY = '__healthz__';
+
+const outcome = async (fn) => {
+  try {
+    await fn();
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+};
+
+const checkStorages = async (shops) => {
+  const storages = new Map([['shared', storageForShop(null)]]);
+  for (const shop of shops) {
+    const storage = storageForShop(shop);
+    if (![...storages.values()].includes(storage)) storages.set(shop, storage);
+  }
+  return Promise.all([...storages].map(async ([name, storage]) => ({
+    name,
+    driver: storage.name,
+    ...await outcome(async () => {
+      await storage.templateExists(HEALTH_PROBE_KEY);
+      await storage.listDesigns(`${HEALTH_PROBE_KEY}/`);
+    }),
+  })));
+};
+
+const checkShops = (shops) => Promise.all(shops.map(async (shop) => ({
+  shop,
+  ...await outcome(async () => {
+    const client = graphqlClient(shop, await accessTokenForShop(shop));
+    await client.request('query healthCheck { shop { name } }');
+  }),
+})));
+
+const runChecks = async () => {
+  let shops = [];
+  const listed = await outcome(async () => { shops = await installedShops(); });
+  const [storage, shopify] = await Promise.all([checkStorages(shops), checkShops(shops)]);
+  if (!listed.ok) shopify.push({ shop: null, ...listed });
+
+  const failing = [...storage, ...shopify].filter((check) => !check.ok);
+  if (failing.length > 0) log.warn('Health check failing', { failing });
+  return { status: failing.length > 0 ? 'failing' : 'ok', checks: { storage, shopify } };
+};
+
+// Returns `check()`, which resolves to the report above. Callers arriving
+// while a check is running share it.
+export const createHealthCheck = ({ cacheMs = 30 * 1000 } = {}) => {
+  let last = null;
+  let checkedAt = 0;
+  let running = null;
+
+  return () => {
+    if (last && Date.now() - checkedAt < cacheMs) return Promise.resolve(last);
+    running ??= runChecks()
+      .then((report) => {
+        last = report;
+        checkedAt = Date.now();
+        return report;
+      })
+      .finally(() => { running = null; });
+    return running;
+  };
+};
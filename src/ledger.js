@@ -0,0 +1,237 @@
+import fs from 'fs';
+import path from 'path';
+
+// --- JOB LEDGER ---
+// A small JSON file store recording what happened to every webhook delivery
+// and every custom line item, so Shopify's retries become no-ops and the
+// recovery script can tell which designs are actually missing.
+//
+// {
+//   "webhooks": { "<webhook id>": { shop, topic, orderId, status, body, receivedAt, updatedAt, error } },
+//   "items":    { "<order gid>|<line item id>": { orderId, orderName, lineItemId, webhookId,
+//                                                status, callSign, fields, templateKey, style, outputKey,
+//                                                mockupFileId, error, updatedAt } },
+//   "deadLetters": [{ id, topic, shop, orderId, attempts, error, failedAt }],
+//   "checkpoints": { "<name>": { ...fields, updatedAt } }
+// }
+//
+// Item status moves pending -> rendered (uploaded to storage) -> done (written to
+// the order), or to failed, or to review when the call sign was rejected, and
+// to cancelled when the order is cancelled. Items are keyed by order and line item rather than
+// by webhook, because the recovery script has no webhook ID and must see the
+// same records. `fields` holds the personalization values the design was
+// rendered from (src/personalization.js), `callSign` the label they make up.
+// Webhook status moves queued -> processing -> done, or to retrying after a
+// failed attempt (and back to processing), and to failed once the queue gives
+// up. A webhook's `body` is the raw delivery, kept until it is done so it can
+// be queued again after a restart.
+
+export const ITEM_STATUS = {
+  PENDING: 'pending',
+  RENDERED: 'rendered',
+  DONE: 'done',
+  FAILED: 'failed',
+  REVIEW: 'review',
+  CANCELLED: 'cancelled',
+};
+
+const emptyState = () => ({ webhooks: {}, items: {}, deadLetters: [], checkpoints: {} });
+
+const itemKey = (orderId, lineItemId) => `${orderId}|${lineItemId}`;
+
+const DAY = 24 * 60 * 60 * 1000;
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+// A lock older than this was left by a process that died holding it
+const STALE_LOCK_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// --- SHARING THE FILE ---
+// The web server and the recovery CLI are separate processes on the same
+// file. Reads pick up the other process's writes by reloading the file when
+// it changed on disk. A write takes `<file>.lock`, reads the file afresh,
+// replays this process's pending changes onto it and renames the result into
+// place, so neither process overwrites records it has not seen. Changes made
+// while a write is in flight go out together in the next one.
+//
+// Finished webhook deliveries (done or failed) are dropped after
+// LEDGER_WEBHOOK_RETENTION_DAYS (default 7), well past Shopify's retry
+// window, so the file stops growing with every ORDERS_UPDATED.
+
+const acquireLock = async (lockPath) => {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      await fs.promises.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    const stat = await fs.promises.stat(lockPath).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+      await fs.promises.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) throw new Error(`ledger ${lockPath} has been locked for over ${LOCK_TIMEOUT_MS}ms`);
+    await sleep(LOCK_RETRY_MS);
+  }
+};
+
+const pruneWebhooks = (state, now) => {
+  const retentionMs = (Number(process.env.LEDGER_WEBHOOK_RETENTION_DAYS) || 7) * DAY;
+  for (const [id, webhook] of Object.entries(state.webhooks)) {
+    const finished = webhook.status === 'done' || webhook.status === 'failed';
+    if (finished && now - Date.parse(webhook.updatedAt) > retentionMs) delete state.webhooks[id];
+  }
+};
+
+export const createLedger = (filePath) => {
+  const lockPath = `${filePath}.lock`;
+  let state = null;
+  let loadedVersion = null;
+  let pending = [];
+  let writeChain = Promise.resolve();
+
+  // Every write renames a new file into place, so the inode tells versions apart
+  const versionOf = (stat) => `${stat.ino}:${stat.mtimeMs}`;
+
+  const versionOnDisk = () => {
+    try {
+      return versionOf(fs.statSync(filePath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return null;
+    }
+  };
+
+  const readFile = () => {
+    const version = versionOnDisk();
+    if (!version) return { version, state: emptyState() };
+    return { version, state: { ...emptyState(), ...JSON.parse(fs.readFileSync(filePath, 'utf-8')) } };
+  };
+
+  // The file's records plus the changes not written yet
+  const load = () => {
+    if (state && versionOnDisk() === loadedVersion) return state;
+    const fresh = readFile();
+    pending.forEach((change) => change(fresh.state));
+    state = fresh.state;
+    loadedVersion = fresh.version;
+    return state;
+  };
+
+  // Writes go to a temp file that is renamed into place, so a crash mid-write
+  // never leaves a truncated ledger behind.
+  const write = async () => {
+    if (pending.length === 0) return;
+    const batch = pending;
+    pending = [];
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await acquireLock(lockPath);
+    try {
+      const fresh = readFile().state;
+      batch.forEach((change) => change(fresh));
+      pruneWebhooks(fresh, Date.now());
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(fresh, null, 2));
+      const version = versionOf(await fs.promises.stat(tmpPath));
+      await fs.promises.rename(tmpPath, filePath);
+      pending.forEach((change) => change(fresh));
+      state = fresh;
+      loadedVersion = version;
+    } catch (error) {
+      pending = [...batch, ...pending];
+      throw error;
+    } finally {
+      await fs.promises.rm(lockPath, { force: true });
+    }
+  };
+
+  // Applies `change(state)` in memory at once and on disk with the next
+  // write; resolves to what it returned once that write is done. A change
+  // runs again on every fresh copy of the file, so it must only set the
+  // fields it owns.
+  const update = (change) => {
+    const result = change(load());
+    pending.push(change);
+    writeChain = writeChain.catch(() => {}).then(write);
+    return writeChain.then(() => result);
+  };
+
+  return {
+    getWebhook(webhookId) {
+      return load().webhooks[webhookId] || null;
+    },
+
+    // Deliveries that were acknowledged but never finished, e.g. because the
+    // process stopped while they were queued or waiting for a retry.
+    unfinishedWebhooks() {
+      return Object.entries(load().webhooks)
+        .filter(([, webhook]) => ['queued', 'processing', 'retrying'].includes(webhook.status))
+        .map(([id, webhook]) => ({ id, ...webhook }));
+    },
+
+    async recordWebhook(webhookId, fields) {
+      const now = new Date().toISOString();
+      await update(({ webhooks }) => {
+        webhooks[webhookId] = { receivedAt: now, ...webhooks[webhookId], ...fields, updatedAt: now };
+      });
+      return load().webhooks[webhookId];
+    },
+
+    getItem(orderId, lineItemId) {
+      return load().items[itemKey(orderId, lineItemId)] || null;
+    },
+
+    itemsForOrder(orderId) {
+      return Object.values(load().items).filter((item) => item.orderId === orderId);
+    },
+
+    allItems() {
+      return Object.values(load().items);
+    },
+
+    async upsertItem(orderId, lineItemId, fields) {
+      const key = itemKey(orderId, lineItemId);
+      const now = new Date().toISOString();
+      await update(({ items }) => {
+        items[key] = { orderId, lineItemId, ...items[key], ...fields, updatedAt: now };
+      });
+      return load().items[key];
+    },
+
+    // Jobs the background queue gave up on, kept on disk so they can still be
+    // inspected after a restart.
+    async addDeadLetter(entry) {
+      await update(({ deadLetters }) => {
+        deadLetters.push(entry);
+      });
+    },
+
+    deadLetters() {
+      return [...load().deadLetters];
+    },
+
+    // Progress markers for background jobs, e.g. the reconciler's high-water
+    // mark per shop.
+    getCheckpoint(name) {
+      return load().checkpoints[name] || null;
+    },
+
+    async setCheckpoint(name, fields) {
+      const now = new Date().toISOString();
+      await update(({ checkpoints }) => {
+        checkpoints[name] = { ...fields, updatedAt: now };
+      });
+      return load().checkpoints[name];
+    },
+
+    // Resolves once every queued write has reached disk.
+    flush() {
+      return writeChain;
+    },
+  };
+};
+
+export const ledger = createLedger(process.env.LEDGER_PATH || path.resolve('data', 'ledger.json'));
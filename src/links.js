@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import { ledger } from './ledger.js';
+import { storageForShop } from './storage/index.js';
+
+// --- DESIGN DOWNLOAD LINKS ---
+// Order notes link to the app (/designs/<order number>/<line item id>) rather
+// than to the storage bucket, so the bucket can stay private. The token is an
+// HMAC of the order number and line item, which keeps the link stable for
+// the life of the order; the route itself hands out short-lived signed URLs.
+// Links carry the shop as a plain parameter so the route knows whose storage
+// to look in; line item IDs are unique across shops, so it needs no signing.
+
+const linkSecret = () => process.env.DESIGN_LINK_SECRET || process.env.SHOPIFY_API_SECRET;
+
+export const orderNumber = (orderName) => String(orderName).replace('#', '');
+
+export const designToken = (orderName, lineItemId) =>
+  crypto
+    .createHmac('sha256', linkSecret())
+    .update(`${orderNumber(orderName)}:${lineItemId}`)
+    .digest('base64url');
+
+export const verifyDesignToken = (orderName, lineItemId, token) => {
+  if (typeof token !== 'string') return false;
+  const expected = Buffer.from(designToken(orderName, lineItemId));
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+export const designLink = (orderName, lineItemId, shop = null) => {
+  const host = process.env.HOST || `http://localhost:${process.env.PORT || 3000}`;
+  const token = designToken(orderName, lineItemId);
+  const shopParam = shop ? `&shop=${encodeURIComponent(shop)}` : '';
+  return `${host}/designs/${orderNumber(orderName)}/${lineItemId}?token=${token}${shopParam}`;
+};
+
+// Finds the package behind a link, returning { key, storage, shop } or null:
+// the ledger knows every design rendered since it was introduced (and for
+// which shop); older ones are found by their storage key prefix.
+export const findDesign = async (orderName, lineItemId, shop = null) => {
+  const record = ledger.allItems().find((item) =>
+    item.outputKey &&
+    String(item.lineItemId) === String(lineItemId) &&
+    orderNumber(item.orderName) === orderNumber(orderName)
+  );
+  if (record) {
+    const owner = record.shop || shop;
+    return { key: record.outputKey, storage: storageForShop(owner), shop: owner };
+  }
+
+  const storage = storageForShop(shop);
+  const [latest] = await storage.listDesigns(`designs/${orderNumber(orderName)}-${lineItemId}-`);
+  return latest ? { key: latest, storage, shop } : null;
+};
@@ -0,0 +1,53 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// --- STRUCTURED LOGGING ---
+// One JSON object per line, on stdout (warnings and errors on stderr):
+//
+//   {"time":"2026-10-19T12:00:00.000Z","level":"info","msg":"Design uploaded",
+//    "topic":"ORDERS_CREATE","webhookId":"b1c2...","shop":"acme.myshopify.com",
+//    "orderId":"gid://shopify/Order/1001","orderName":"#1001","lineItemId":123,"key":"designs/..."}
+//
+// Correlation IDs come from withLogContext(fields, fn): every line logged
+// while fn runs, across awaits, carries the fields. The webhook worker adds
+// the delivery, the pipeline the order; line item IDs are passed per line.
+// An `error` field holding an Error is logged with its message and stack.
+//
+// LOG_LEVEL is debug, info (default), warn or error. LOG_FORMAT=text prints
+// readable lines instead, which the recovery CLI uses unless told otherwise.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+export const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.userErrors && { userErrors: error.userErrors }),
+  stack: error.stack,
+});
+
+const formatText = ({ time, level, msg, ...fields }) => [
+  time,
+  level.toUpperCase().padEnd(5),
+  msg,
+  ...Object.entries(fields).map(([name, value]) =>
+    `${name}=${typeof value === 'string' ? value : JSON.stringify(name === 'error' ? value.message : value)}`),
+].join(' ');
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < (LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info)) return;
+
+  const entry = { time: new Date().toISOString(), level, msg, ...context.getStore(), ...fields };
+  if (entry.error instanceof Error) entry.error = serializeError(entry.error);
+  const line = process.env.LOG_FORMAT === 'text' ? formatText(entry) : JSON.stringify(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
@@ -0,0 +1,95 @@
+import { graphqlClient } from './clients.js';
+import { DESIGNS_METAFIELD } from './orderUpdate.js';
+import { MOCKUP_METAFIELD } from './mockups.js';
+import { log } from './logger.js';
+
+// --- ORDER METAFIELD DEFINITIONS ---
+// The admin order page only shows metafields that have a definition pinned
+// to it. Run on install and at every startup, like registerWebhooks: missing
+// definitions are created pinned, existing unpinned ones are pinned, and the
+// rest are left alone (staff may have reordered or renamed them).
+
+export const ORDER_METAFIELD_DEFINITIONS = [
+  {
+    ...DESIGNS_METAFIELD,
+    name: 'Custom designs',
+    description: 'Design packages rendered for the order\'s custom line items, with status and download link',
+    type: 'json',
+  },
+  {
+    ...MOCKUP_METAFIELD,
+    name: 'Design mockups',
+    description: 'Previews of the custom designs on the product photo',
+    type: 'list.file_reference',
+  },
+];
+
+const checkUserErrors = (result, action) => {
+  // TAKEN: another process created it first, which is what we wanted
+  const errors = (result.userErrors || []).filter((error) => error.code !== 'TAKEN');
+  if (errors.length > 0) {
+    const error = new Error(`Could not ${action}: ${errors.map((e) => e.message).join('; ')}`);
+    error.userErrors = errors;
+    throw error;
+  }
+};
+
+const existingDefinitions = async (client, namespaces) => {
+  const definitions = [];
+  for (const namespace of namespaces) {
+    const response = await client.request(
+      `query metafieldDefinitions($namespace: String!) {
+        metafieldDefinitions(first: 50, ownerType: ORDER, namespace: $namespace) {
+          edges { node { id namespace key pinnedPosition } }
+        }
+      }`,
+      { variables: { namespace } }
+    );
+    definitions.push(...response.data.metafieldDefinitions.edges.map(({ node }) => node));
+  }
+  return definitions;
+};
+
+// Returns { created, pinned, kept } as lists of "namespace.key".
+export const registerMetafieldDefinitions = async (shop, accessToken) => {
+  const client = graphqlClient(shop, accessToken);
+  const namespaces = [...new Set(ORDER_METAFIELD_DEFINITIONS.map((definition) => definition.namespace))];
+  const existing = await existingDefinitions(client, namespaces);
+  const summary = { created: [], pinned: [], kept: [] };
+
+  for (const definition of ORDER_METAFIELD_DEFINITIONS) {
+    const name = `${definition.namespace}.${definition.key}`;
+    const current = existing.find((node) => node.namespace === definition.namespace && node.key === definition.key);
+
+    if (!current) {
+      const response = await client.request(
+        `mutation metafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+          metafieldDefinitionCreate(definition: $definition) {
+            createdDefinition { id }
+            userErrors { field message code }
+          }
+        }`,
+        { variables: { definition: { ...definition, ownerType: 'ORDER', pin: true } } }
+      );
+      checkUserErrors(response.data.metafieldDefinitionCreate, `create metafield definition ${name}`);
+      summary.created.push(name);
+    } else if (current.pinnedPosition === null || current.pinnedPosition === undefined) {
+      const response = await client.request(
+        `mutation metafieldDefinitionPin($definitionId: ID!) {
+          metafieldDefinitionPin(definitionId: $definitionId) {
+            pinnedDefinition { id }
+            userErrors { field message code }
+          }
+        }`,
+        { variables: { definitionId: current.id } }
+      );
+      checkUserErrors(response.data.metafieldDefinitionPin, `pin metafield definition ${name}`);
+      summary.pinned.push(name);
+    } else {
+      summary.kept.push(name);
+    }
+  }
+
+  log.info('Registered metafield definitions', { shop, ...summary });
+  return summary;
+};
@@ -0,0 +1,158 @@
+// --- METRICS ---
+// Counters, gauges and histograms kept in memory and served by /metrics in
+// the Prometheus text format. Labels are passed as an object on every call;
+// each distinct set of label values is its own series.
+//
+// What to alert on: design_app_designs_total{result="done"} not increasing
+// while design_app_webhooks_received_total{topic="ORDERS_CREATE"} does, or
+// design_app_last_design_timestamp_seconds falling behind, means orders have
+// stopped producing designs.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const metrics = [];
+
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const formatLabels = (labels, extra = {}) => {
+  const entries = Object.entries({ ...labels, ...extra });
+  if (entries.length === 0) return '';
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+};
+
+// `before` runs on every scrape, ahead of `lines`.
+const register = (name, help, type, lines, before = null) => {
+  metrics.push({ name, help, type, lines, before });
+};
+
+// A value per label set, kept across scrapes.
+const valueMetric = (name, help, type, before = null) => {
+  const series = new Map();
+  const lines = () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+  register(name, help, type, lines, before && (() => before(series)));
+
+  const entry = (labels) => {
+    const key = seriesKey(labels);
+    if (!series.has(key)) series.set(key, { labels, value: 0 });
+    return series.get(key);
+  };
+  return { entry };
+};
+
+export const counter = (name, help) => {
+  const { entry } = valueMetric(name, help, 'counter');
+  return {
+    inc(labels = {}, amount = 1) {
+      entry(labels).value += amount;
+    },
+  };
+};
+
+export const gauge = (name, help) => {
+  let collect = null;
+  const { entry } = valueMetric(name, help, 'gauge', (series) => {
+    if (!collect) return;
+    series.clear();
+    collect(metric);
+  });
+  const metric = {
+    set(labels, value) {
+      entry(labels).value = value;
+    },
+    // Has `collect(gauge)` set the current values on every scrape instead.
+    collectWith(fn) {
+      collect = fn;
+    },
+  };
+  return metric;
+};
+
+export const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+  const series = new Map();
+  register(name, help, 'histogram', () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+    ...buckets.map((bound, index) => `${name}_bucket${formatLabels(labels, { le: bound })} ${counts[index]}`),
+    `${name}_bucket${formatLabels(labels, { le: '+Inf' })} ${count}`,
+    `${name}_sum${formatLabels(labels)} ${sum}`,
+    `${name}_count${formatLabels(labels)} ${count}`,
+  ]));
+
+  const observe = (labels, seconds) => {
+    const key = seriesKey(labels);
+    if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+    const entry = series.get(key);
+    buckets.forEach((bound, index) => {
+      if (seconds <= bound) entry.counts[index]++;
+    });
+    entry.sum += seconds;
+    entry.count++;
+  };
+
+  // Returns a function that records the time since the start, with the
+  // labels given here plus any given when it is called.
+  const startTimer = (labels = {}) => {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+  };
+
+  return {
+    observe,
+    startTimer,
+    // Times `fn`, recording result "ok" or "error".
+    async time(labels, fn) {
+      const done = startTimer(labels);
+      try {
+        const value = await fn();
+        done({ result: 'ok' });
+        return value;
+      } catch (error) {
+        done({ result: 'error' });
+        throw error;
+      }
+    },
+  };
+};
+
+export const renderMetrics = () => metrics.flatMap((metric) => {
+  metric.before?.();
+  return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()];
+}).join('\n') + '\n';
+
+// --- APP METRICS ---
+export const webhooksReceived = counter(
+  'design_app_webhooks_received_total',
+  'Webhook deliveries received, by topic and result (queued, duplicate, ignored, invalid, unhandled, error)'
+);
+export const webhookDuration = histogram(
+  'design_app_webhook_duration_seconds',
+  'Time to process a webhook delivery on the queue, by topic and result'
+);
+export const designsTotal = counter(
+  'design_app_designs_total',
+  'Line items processed, by result (done, failed, review)'
+);
+export const renderDuration = histogram(
+  'design_app_render_duration_seconds',
+  'Time to render and upload a design package, by result (ok, error)'
+);
+export const lastDesignTimestamp = gauge(
+  'design_app_last_design_timestamp_seconds',
+  'Unix time of the last design package uploaded'
+);
+export const storageDuration = histogram(
+  'design_app_storage_duration_seconds',
+  'Time of template and design storage calls, by driver, operation and result',
+  [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+export const storageBytes = counter(
+  'design_app_storage_bytes_total',
+  'Bytes downloaded from and uploaded to storage, by driver and direction'
+);
+export const orderUpdates = counter(
+  'design_app_order_updates_total',
+  'GraphQL order updates (tags, metafields, note), by result (ok, user_errors, error)'
+);
+export const queueJobs = gauge(
+  'design_app_queue_jobs',
+  'Webhook jobs on the queue, by state (waiting, running, retrying, dead_letter)'
+);
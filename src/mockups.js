@@ -0,0 +1,77 @@
+import sharp from 'sharp';
+import { productSettings } from './config.js';
+import { storageForShop } from './storage/index.js';
+import { uploadFile } from './shopifyFiles.js';
+
+// --- ORDER MOCKUPS ---
+// A small preview of design.png placed on a product photo in the variant's
+// colour, uploaded to Shopify Files and listed in the order metafield
+// custom_design.mockups so staff see it in the admin order view (pinned by
+// src/metafieldDefinitions.js).
+//
+// config/mockups.json, per product (see src/config.js):
+//
+// {
+//   "products": {
+//     "Custom T-Shirt": {
+//       "colors": { "White": "mockups/TSHIRT_WHITE.png", "Black": "mockups/TSHIRT_BLACK.png" },
+//       "placement": { "x": 310, "y": 260, "width": 380, "height": 420 },
+//       "width": 800
+//     }
+//   }
+// }
+//
+// Mockup photos are read from template storage. Products without an entry,
+// or colours without a photo, simply get no mockup.
+
+export const MOCKUP_METAFIELD = { namespace: 'custom_design', key: 'mockups' };
+
+const mockupKeyFor = (item, colors = {}) => {
+  const colour = (item.variant_title || '').split(' / ')[0].trim().toLowerCase();
+  const match = Object.keys(colors).find((name) => name.toLowerCase() === colour);
+  return match ? colors[match] : null;
+};
+
+// Returns a JPEG buffer, or null when the product/colour has no mockup photo.
+export const renderMockup = async (designPng, item, shop = null) => {
+  const settings = productSettings('mockups', item, shop);
+  const mockupKey = mockupKeyFor(item, settings.colors);
+  if (!mockupKey || !settings.placement) return null;
+
+  const { x, y, width, height } = settings.placement;
+  const photo = await storageForShop(shop).getTemplate(mockupKey);
+  const design = await sharp(designPng)
+    .resize({ width: Math.round(width), height: height ? Math.round(height) : undefined, fit: 'inside' })
+    .png()
+    .toBuffer();
+
+  const composed = await sharp(photo)
+    .composite([{ input: design, left: Math.round(x), top: Math.round(y) }])
+    .png()
+    .toBuffer();
+  return sharp(composed)
+    .resize({ width: settings.width || 800, withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+};
+
+// Renders and uploads the mockup for one line item. Returns the Shopify
+// file GID, or null when there is no mockup for the item.
+export const createMockup = async (shop, accessToken, payload, item, designPng) => {
+  const mockup = await renderMockup(designPng, item, shop);
+  if (!mockup) return null;
+
+  return uploadFile(shop, accessToken, {
+    filename: `${payload.name.replace('#', '')}-${item.id}-mockup.jpg`,
+    mimeType: 'image/jpeg',
+    buffer: mockup,
+    alt: `Design mockup for ${payload.name} - ${item.title} (${item.variant_title})`,
+  });
+};
+
+export const mockupMetafield = (orderId, fileIds) => ({
+  ownerId: orderId,
+  ...MOCKUP_METAFIELD,
+  type: 'list.file_reference',
+  value: JSON.stringify(fileIds),
+});
@@ -0,0 +1,155 @@
+import { graphqlClient } from './clients.js';
+import { loadConfig } from './config.js';
+import { designLink } from './links.js';
+import { orderUpdates } from './metrics.js';
+
+// --- WRITING RESULTS TO THE ORDER ---
+// The results of a run are written in one GraphQL request:
+//
+//   - tags (has_custom_design, design_failed, call_sign_review, Color/Size/CallSign)
+//     to add; to remove, the variant tags of replaced call signs and
+//     design_failed or call_sign_review once no item needs them any more
+//   - the JSON metafield custom_design.designs, one entry per custom line item:
+//     { lineItemId, title, callSign, templateKey, outputKey, downloadUrl,
+//       status, renderedAt, error }
+//   - any extra metafields (e.g. the mockup list)
+//   - optionally a block in the order note, rendered from config/notes.json
+//
+// Both the metafield and the note block are rebuilt from the ledger records
+// of the whole order, so running an order again replaces them instead of
+// appending another copy.
+
+export const DESIGNS_METAFIELD = { namespace: 'custom_design', key: 'designs' };
+
+// Placeholders: {{order}}, {{position}} ("2/3-" on multi-item orders, empty
+// otherwise), {{index}}, {{total}}, {{link}}, {{title}}, {{callSign}},
+// {{reason}}. The note block sits between `heading` and `footer`; blocks
+// written before the footer existed are kept, with their links rewritten
+// (see LEGACY_DESIGN_URL).
+export const DEFAULT_NOTE_CONFIG = {
+  enabled: true,
+  heading: '--- Custom Design Files ---',
+  footer: '--- End Custom Design Files ---',
+  design: '{{order}}-{{position}}{{link}};',
+  failed: '{{order}}-{{position}}FAILED "{{title}}" ({{callSign}}): {{reason}}',
+  review: '{{order}}-{{position}}CALL SIGN REVIEW "{{title}}" ("{{callSign}}"): {{reason}}',
+  cancelled: '{{order}}-{{position}}CANCELLED "{{title}}" ({{callSign}})',
+};
+
+export const noteSettings = (shop = null) => ({ ...DEFAULT_NOTE_CONFIG, ...loadConfig('notes', shop) });
+
+const fill = (template, values) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, name) => String(values[name] ?? ''));
+
+const lineTemplates = { done: 'design', rendered: 'design', failed: 'failed', review: 'review', cancelled: 'cancelled' };
+
+const noteLine = (config, record) => {
+  const template = config[lineTemplates[record.status]];
+  if (!template) return null;
+  return fill(template, {
+    order: record.orderName,
+    position: record.total > 1 ? `${record.position}/${record.total}-` : '',
+    index: record.position,
+    total: record.total,
+    link: designLink(record.orderName, record.lineItemId, record.shop),
+    title: record.title,
+    callSign: record.callSign,
+    reason: record.error,
+  });
+};
+
+// Notes written before /designs existed link straight to the bucket, e.g.
+// https://<bucket>.s3.<region>.amazonaws.com/designs/<order>-<line item>-<time>.zip,
+// which stops working once the bucket is private. Whenever such a note is
+// written again, those links are pointed at /designs, which finds the package
+// by the same key prefix (findDesign in src/links.js).
+const LEGACY_DESIGN_URL = /https?:\/\/[^\s;]+\/designs\/(\d+)-(\d+)-\d+\.zip/g;
+
+export const buildNote = (existingNote, records, config = noteSettings()) => {
+  const lines = records.map((record) => noteLine(config, record)).filter(Boolean);
+  const block = `${config.heading}\n${lines.join('\n')}\n${config.footer}`;
+  const shop = records.find((record) => record.shop)?.shop || null;
+  const note = (existingNote || '').replace(LEGACY_DESIGN_URL, (url, order, lineItemId) =>
+    designLink(order, lineItemId, shop));
+
+  // Replace our own earlier block: the heading closest before the footer
+  const end = note.indexOf(config.footer);
+  const start = end === -1 ? -1 : note.lastIndexOf(config.heading, end);
+  if (start !== -1) {
+    return note.slice(0, start) + block + note.slice(end + config.footer.length);
+  }
+  return (note ? `${note}\n\n` : '') + block;
+};
+
+export const designsMetafield = (orderId, records) => ({
+  ownerId: orderId,
+  ...DESIGNS_METAFIELD,
+  type: 'json',
+  value: JSON.stringify({
+    version: 1,
+    lineItems: records.map((record) => ({
+      lineItemId: record.lineItemId,
+      title: record.title || null,
+      callSign: record.callSign || null,
+      templateKey: record.templateKey || null,
+      outputKey: record.outputKey || null,
+      downloadUrl: record.outputKey ? designLink(record.orderName, record.lineItemId, record.shop) : null,
+      status: record.status,
+      renderedAt: record.renderedAt || null,
+      error: record.error || null,
+    })),
+  }),
+});
+
+// Sends tags, metafields and (when `note` is not null) the note in one
+// request; parts with nothing to send are left out.
+export const updateOrder = async (shop, accessToken, orderId, { tags = [], removeTags = [], metafields, note = null }) => {
+  const parts = [
+    tags.length > 0 && {
+      variable: '$tags: [String!]!',
+      values: { tags },
+      field: 'tagsAdd(id: $id, tags: $tags) { node { id } userErrors { field message } }',
+    },
+    removeTags.length > 0 && {
+      variable: '$removeTags: [String!]!',
+      values: { removeTags },
+      field: 'tagsRemove(id: $id, tags: $removeTags) { node { id } userErrors { field message } }',
+    },
+    {
+      variable: '$metafields: [MetafieldsSetInput!]!',
+      values: { metafields },
+      field: 'metafieldsSet(metafields: $metafields) { metafields { id } userErrors { field message } }',
+    },
+    note !== null && {
+      variable: '$note: String!',
+      values: { note },
+      field: 'orderUpdate(input: {id: $id, note: $note}) { order { id } userErrors { field message } }',
+    },
+  ].filter(Boolean);
+
+  const client = graphqlClient(shop, accessToken);
+  let response;
+  try {
+    response = await client.request(
+      `mutation recordDesigns($id: ID!, ${parts.map((part) => part.variable).join(', ')}) {
+        ${parts.map((part) => part.field).join('\n        ')}
+      }`,
+      { variables: Object.assign({ id: orderId }, ...parts.map((part) => part.values)) }
+    );
+  } catch (error) {
+    orderUpdates.inc({ result: 'error' });
+    throw error;
+  }
+
+  const tagsErrors = response.data?.tagsAdd?.userErrors || [];
+  const tagsRemoveErrors = response.data?.tagsRemove?.userErrors || [];
+  const metafieldsErrors = response.data?.metafieldsSet?.userErrors || [];
+  const orderUpdateErrors = response.data?.orderUpdate?.userErrors || [];
+  if ([tagsErrors, tagsRemoveErrors, metafieldsErrors, orderUpdateErrors].some((errors) => errors.length > 0)) {
+    orderUpdates.inc({ result: 'user_errors' });
+    const error = new Error('Shopify API returned errors when updating order');
+    error.userErrors = { tagsErrors, tagsRemoveErrors, metafieldsErrors, orderUpdateErrors };
+    throw error;
+  }
+  orderUpdates.inc({ result: 'ok' });
+};
@@ -0,0 +1,148 @@
+import { graphqlClient } from './clients.js';
+
+// --- FETCHING ORDERS ---
+// Reads orders through the Admin GraphQL API and reshapes them into the
+// ORDERS_CREATE webhook format, so the recovery tools can hand them to
+// processOrderPayload exactly like a webhook would.
+
+// Shopify refuses a query whose requested cost is over 1000 points, and a
+// connection costs its page size times the cost of one node (here about 4
+// per line item). Five orders with 25 line items each come to about 520;
+// orders with more line items page through the rest separately.
+const ORDERS_PAGE_SIZE = 5;
+const LINE_ITEMS_PAGE_SIZE = 25;
+const MORE_LINE_ITEMS_PAGE_SIZE = 100;
+const THROTTLE_RETRIES = 5;
+
+const LINE_ITEM_CONNECTION = `
+  edges {
+    node {
+      id
+      title
+      variantTitle
+      sku
+      product { id }
+      variant { id }
+      customAttributes { key value }
+    }
+  }
+  pageInfo { hasNextPage endCursor }
+`;
+
+const ORDER_FIELDS = `
+  id
+  name
+  note
+  tags
+  createdAt
+  lineItems(first: ${LINE_ITEMS_PAGE_SIZE}) { ${LINE_ITEM_CONNECTION} }
+`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isThrottled = (error) =>
+  error.body?.errors?.graphQLErrors?.some((graphqlError) => graphqlError.extensions?.code === 'THROTTLED');
+
+// How long until the bucket holds enough points for the query again, from
+// the cost report Shopify sends along; a growing guess when there is none.
+const throttleDelayMs = (error, attempt) => {
+  const cost = error.body?.extensions?.cost;
+  const status = cost?.throttleStatus;
+  if (!status?.restoreRate) return 1000 * attempt;
+  const missing = Math.max(0, cost.requestedQueryCost - status.currentlyAvailable);
+  return Math.min(60 * 1000, Math.ceil((missing / status.restoreRate) * 1000) + 100);
+};
+
+// A throttled query is waited out and sent again rather than failing the run.
+const request = async (client, query, variables) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await client.request(query, { variables });
+    } catch (error) {
+      if (!isThrottled(error) || attempt > THROTTLE_RETRIES) throw error;
+      await sleep(throttleDelayMs(error, attempt));
+    }
+  }
+};
+
+// The order's line items past the first page, added to its connection.
+const withAllLineItems = async (client, orderNode) => {
+  const edges = [...orderNode.lineItems.edges];
+  let { pageInfo } = orderNode.lineItems;
+  while (pageInfo.hasNextPage) {
+    const response = await request(
+      client,
+      `query orderLineItems($id: ID!, $first: Int!, $after: String) {
+        order(id: $id) { lineItems(first: $first, after: $after) { ${LINE_ITEM_CONNECTION} } }
+      }`,
+      { id: orderNode.id, first: MORE_LINE_ITEMS_PAGE_SIZE, after: pageInfo.endCursor }
+    );
+    edges.push(...response.data.order.lineItems.edges);
+    pageInfo = response.data.order.lineItems.pageInfo;
+  }
+  return { ...orderNode, lineItems: { edges } };
+};
+
+const numericId = (gid) => (gid ? Number(gid.split('/').pop()) : null);
+
+export const toWebhookPayload = (orderNode) => ({
+  name: orderNode.name,
+  note: orderNode.note,
+  tags: orderNode.tags,
+  created_at: orderNode.createdAt,
+  admin_graphql_api_id: orderNode.id,
+  line_items: orderNode.lineItems.edges.map(({ node }) => ({
+    id: numericId(node.id),
+    product_id: numericId(node.product?.id),
+    variant_id: numericId(node.variant?.id),
+    sku: node.sku,
+    title: node.title,
+    variant_title: node.variantTitle,
+    properties: node.customAttributes.map((attr) => ({ name: attr.key, value: attr.value })),
+  })),
+});
+
+// Pages through every order matching a Shopify search query (e.g.
+// "created_at:>=2024-05-01"), oldest first, yielding webhook-shaped payloads.
+export async function* searchOrders(shop, query, { accessToken, pageSize = ORDERS_PAGE_SIZE } = {}) {
+  const client = graphqlClient(shop, accessToken);
+  let cursor = null;
+
+  do {
+    const response = await request(
+      client,
+      `query orders($query: String, $first: Int!, $after: String) {
+        orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT) {
+          edges { node { ${ORDER_FIELDS} } }
+          pageInfo { hasNextPage endCursor }
+        }
+      }`,
+      { query, first: pageSize, after: cursor }
+    );
+    const { edges, pageInfo } = response.data.orders;
+    for (const edge of edges) {
+      yield toWebhookPayload(await withAllLineItems(client, edge.node));
+    }
+    cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (cursor);
+}
+
+// Order names are matched as given or with a leading "#", so both "1001" and
+// "#1001" find order #1001.
+export const fetchOrderByName = async (shop, orderName, { accessToken } = {}) => {
+  const candidates = [orderName, `#${orderName}`];
+  for await (const order of searchOrders(shop, `name:${orderName}`, { accessToken })) {
+    if (candidates.includes(order.name)) return order;
+  }
+  return null;
+};
+
+export const fetchOrderById = async (shop, orderId, { accessToken } = {}) => {
+  const client = graphqlClient(shop, accessToken);
+  const response = await request(
+    client,
+    `query order($id: ID!) { order(id: $id) { ${ORDER_FIELDS} } }`,
+    { id: orderId }
+  );
+  return response.data.order ? toWebhookPayload(await withAllLineItems(client, response.data.order)) : null;
+};
@@ -0,0 +1,192 @@
+import sharp from 'sharp';
+import fs from 'fs/promises';
+import {
+  PDFDocument,
+  rgb,
+  degrees,
+  pushGraphicsState,
+  popGraphicsState,
+  setCharacterSpacing,
+} from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import { productSettings } from './config.js';
+
+// --- PRINT OUTPUTS ---
+// config/outputs.json decides, per product, which print files go into the
+// design package next to the template assets:
+//
+// {
+//   "default": {
+//     "formats": ["png", "tiff", "pdf", "preview"],
+//     "dpi": 300,
+//     "bleedMm": 3,
+//     "preview": { "width": 1200, "quality": 70 }
+//   }
+// }
+//
+//   png     -> design.png, with DPI metadata (always produced)
+//   tiff    -> design.tif, CMYK with resolution tags
+//   pdf     -> design.pdf at physical size: the template as the background,
+//              image layers as placed, and the text as vector type in the
+//              manifest's embedded font. Every text region needs a font file
+//              for this: the PNG of a region without one is drawn in whatever
+//              the server's fontconfig picks, which a PDF cannot match
+//   preview -> preview.jpg, small flattened JPEG for quick checks
+//
+// bleedMm adds a transparent margin around the print files (not the preview).
+
+export const DEFAULT_OUTPUTS = {
+  formats: ['png'],
+  dpi: 300,
+  bleedMm: 0,
+  preview: { width: 1200, quality: 70 },
+};
+
+export const OUTPUT_FILES = {
+  png: 'design.png',
+  tiff: 'design.tif',
+  pdf: 'design.pdf',
+  preview: 'preview.jpg',
+};
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+export const outputSettingsFor = (item, shop = null) => {
+  const settings = { ...DEFAULT_OUTPUTS, ...productSettings('outputs', item, shop) };
+  const unknown = settings.formats.filter((format) => !OUTPUT_FILES[format]);
+  if (unknown.length > 0) {
+    throw new Error(`unknown output format(s) in config/outputs.json: ${unknown.join(', ')}`);
+  }
+  return settings;
+};
+
+const withBleed = (pngBytes, bleedPx) =>
+  bleedPx > 0
+    ? sharp(pngBytes)
+      .extend({ top: bleedPx, bottom: bleedPx, left: bleedPx, right: bleedPx, background: TRANSPARENT })
+      .png()
+      .toBuffer()
+    : Buffer.from(pngBytes);
+
+const hexToRgb = (color) => {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color)?.[1];
+  if (!hex) return rgb(0, 0, 0);
+  const full = hex.length === 3 ? [...hex].map((c) => c + c).join('') : hex;
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16) / 255);
+  return rgb(r, g, b);
+};
+
+// The same font file the raster renderer drew the region with, embedded
+// (subset) once per file.
+const embedRegionFont = async (pdf, region, fontFiles, cache) => {
+  const { file } = region.font;
+  if (!cache.has(file)) {
+    cache.set(file, await pdf.embedFont(await fs.readFile(fontFiles[file]), { subset: true }));
+  }
+  return cache.get(file);
+};
+
+const checkPdfFonts = (design, fontFiles) => {
+  for (const { region } of design.layout) {
+    if (region.type === 'image') continue;
+    if (!region.font.file || !fontFiles[region.font.file]) {
+      throw new Error(
+        `${OUTPUT_FILES.pdf} needs an embedded font, but text region "${region.name}" has no font file; ` +
+        'add font.file to the template\'s template.json or drop "pdf" from config/outputs.json'
+      );
+    }
+  }
+};
+
+const renderPdf = async (design, templatePngBytes, fontFiles, { dpi, bleedPx }) => {
+  const toPt = (px) => (px * 72) / dpi;
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+
+  const pageWidth = toPt(design.width + 2 * bleedPx);
+  const pageHeight = toPt(design.height + 2 * bleedPx);
+  const page = pdf.addPage([pageWidth, pageHeight]);
+  const background = await pdf.embedPng(await withBleed(templatePngBytes, bleedPx));
+  page.drawImage(background, { x: 0, y: 0, width: pageWidth, height: pageHeight });
+
+  const fonts = new Map();
+  for (const entry of design.layout) {
+    if (entry.image) {
+      // Already scaled and rotated by the renderer, so it goes in as it landed
+      page.drawImage(await pdf.embedPng(entry.image), {
+        x: toPt(bleedPx + entry.left),
+        y: pageHeight - toPt(bleedPx + entry.top + entry.height),
+        width: toPt(entry.width),
+        height: toPt(entry.height),
+      });
+      continue;
+    }
+
+    const { region, text } = entry;
+    const font = await embedRegionFont(pdf, region, fontFiles, fonts);
+    const size = toPt(entry.fontSize);
+    const spacing = toPt(region.letterSpacing);
+    const width = font.widthOfTextAtSize(text, size) + spacing * Math.max(0, [...text].length - 1);
+    const ascent = font.heightAtSize(size, { descender: false });
+    const descent = font.heightAtSize(size) - ascent;
+
+    // Centre the text where the raster renderer put it, rotating about that
+    // centre. PDF y runs upwards and rotation is counter-clockwise.
+    const centreX = toPt(bleedPx + entry.left + entry.width / 2);
+    const centreY = pageHeight - toPt(bleedPx + entry.top + entry.height / 2);
+    const angle = (-(region.rotation || 0) * Math.PI) / 180;
+    const offsetX = width / 2;
+    const offsetY = (ascent - descent) / 2;
+
+    page.pushOperators(pushGraphicsState(), setCharacterSpacing(spacing));
+    page.drawText(text, {
+      x: centreX - (offsetX * Math.cos(angle) - offsetY * Math.sin(angle)),
+      y: centreY - (offsetX * Math.sin(angle) + offsetY * Math.cos(angle)),
+      size,
+      font,
+      color: hexToRgb(region.color),
+      rotate: degrees(-(region.rotation || 0)),
+    });
+    page.pushOperators(popGraphicsState());
+  }
+
+  return Buffer.from(await pdf.save());
+};
+
+// Produces the print files for a composed design (see composeDesign in
+// src/render.js). Returns { filename: Buffer } ready to add to the package.
+export const renderOutputs = async (design, templatePngBytes, fontFiles, settings = DEFAULT_OUTPUTS) => {
+  const { dpi, bleedMm, formats } = settings;
+  if (formats.includes('pdf')) checkPdfFonts(design, fontFiles);
+  const bleedPx = Math.round((bleedMm / 25.4) * dpi);
+  const printPng = await withBleed(design.png, bleedPx);
+  const files = {};
+
+  files[OUTPUT_FILES.png] = await sharp(printPng)
+    .withMetadata({ density: dpi })
+    .png()
+    .toBuffer();
+
+  if (formats.includes('tiff')) {
+    // sharp takes the resolution in pixels per millimetre
+    files[OUTPUT_FILES.tiff] = await sharp(printPng)
+      .toColourspace('cmyk')
+      .tiff({ compression: 'lzw', xres: dpi / 25.4, yres: dpi / 25.4, resolutionUnit: 'inch' })
+      .toBuffer();
+  }
+
+  if (formats.includes('pdf')) {
+    files[OUTPUT_FILES.pdf] = await renderPdf(design, templatePngBytes, fontFiles, { dpi, bleedPx });
+  }
+
+  if (formats.includes('preview')) {
+    const preview = { ...DEFAULT_OUTPUTS.preview, ...settings.preview };
+    files[OUTPUT_FILES.preview] = await sharp(design.png)
+      .resize({ width: preview.width, withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: preview.quality })
+      .toBuffer();
+  }
+
+  return files;
+};
@@ -0,0 +1,187 @@
+import sharp from 'sharp';
+import { productSettings } from './config.js';
+import { rulesForItem, validateCallSign, normalizeCallSign } from './callSign.js';
+
+// --- PERSONALIZATION FIELDS ---
+// config/personalization.json maps line item properties to the fields a
+// template draws (per product, see src/config.js). A product without an entry
+// has the single text field "call_sign", read from the call_sign property:
+//
+// {
+//   "products": {
+//     "Custom Jersey": {
+//       "fields": {
+//         "name":   { "property": "Name", "maxLength": 14 },
+//         "number": { "property": "Number", "allowedCharacters": "0-9", "maxLength": 2 },
+//         "logo":   { "property": "Logo", "type": "image", "required": false, "minWidth": 300 }
+//       }
+//     }
+//   }
+// }
+//
+// Field settings:
+//   property - line item property holding the value (defaults to the field name)
+//   type     - "text" (default) or "image"
+//   required - false lets the customer leave it out; its regions stay blank
+//   label    - how reviews and errors name the field (defaults to the name)
+//
+// Text fields are checked with the product's call sign rules
+// (config/call-signs.json); any rule set on the field itself wins. Image
+// fields hold a URL, which must be on one of `allowedHosts` (Shopify's CDN,
+// where theme file uploads end up, unless set; "*" allows any). The image is
+// downloaded when the design is rendered and must be a PNG, JPEG, WebP or
+// GIF of at most `maxBytes` and at least minWidth x minHeight pixels.
+//
+// Template regions pick a field by name (src/render.js); regions without one
+// draw the first text field, which is also the one staff can override from
+// the admin dashboard. Tags, notes and the ledger name a line item by its
+// text fields joined with spaces (its `callSign`).
+
+export const CALL_SIGN_PROPERTY = 'call_sign';
+
+export const DEFAULT_FIELDS = { call_sign: { property: CALL_SIGN_PROPERTY } };
+
+export const IMAGE_DEFAULTS = {
+  allowedHosts: ['cdn.shopify.com'],
+  maxBytes: 10 * 1024 * 1024,
+  minWidth: 1,
+  minHeight: 1,
+  timeoutMs: 15000,
+};
+
+const FIELD_TYPES = ['text', 'image'];
+const IMAGE_FORMATS = ['png', 'jpeg', 'webp', 'gif'];
+
+// The line item's fields in the order the config lists them, each with its
+// settings filled in.
+export const fieldsForItem = (item, shop = null) => {
+  const { fields = DEFAULT_FIELDS } = productSettings('personalization', item, shop);
+  return Object.entries(fields).map(([name, field]) => {
+    const type = field.type || 'text';
+    if (!FIELD_TYPES.includes(type)) {
+      throw new Error(`personalization field "${name}" has invalid type "${type}"`);
+    }
+    return {
+      property: name,
+      required: true,
+      label: name.replace(/_/g, ' '),
+      ...(type === 'image' && IMAGE_DEFAULTS),
+      ...field,
+      name,
+      type,
+    };
+  });
+};
+
+export const primaryField = (fields) => fields.find((field) => field.type === 'text')?.name || null;
+
+// Property values by field name, '' where the line item has none.
+export const readFields = (item, fields) =>
+  Object.fromEntries(fields.map((field) => [
+    field.name,
+    String(item.properties?.find((property) => property.name === field.property)?.value ?? ''),
+  ]));
+
+// A line item needs a design as soon as one of its fields has a value.
+export const isPersonalized = (item, shop = null) =>
+  Object.values(readFields(item, fieldsForItem(item, shop))).some((value) => value.trim() !== '');
+
+const textRules = (field, item, shop) => ({ ...rulesForItem(item, shop), ...field });
+
+// The values as they will be drawn, for telling whether a line item changed.
+export const normalizeFields = (raw, fields, item, shop = null) =>
+  Object.fromEntries(fields.map((field) => [
+    field.name,
+    field.type === 'text'
+      ? normalizeCallSign(raw[field.name], textRules(field, item, shop))
+      : String(raw[field.name] ?? '').trim(),
+  ]));
+
+export const fieldsLabel = (values, fields) => {
+  const text = fields.filter((field) => field.type === 'text' && values[field.name]).map((field) => values[field.name]);
+  if (text.length > 0) return text.join(' ');
+  return fields.filter((field) => values[field.name]).map((field) => field.name.toUpperCase()).join(' ');
+};
+
+const hostAllowed = (hostname, allowedHosts) =>
+  allowedHosts.some((host) => host === '*' || hostname === host || hostname.endsWith(`.${host}`));
+
+const imageUrlProblem = (value, field) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return `${field.label} is not a URL`;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return `${field.label} must be an http(s) URL`;
+  }
+  if (!hostAllowed(url.hostname, field.allowedHosts)) {
+    return `${field.label} is hosted on ${url.hostname}, which is not allowed`;
+  }
+  return null;
+};
+
+// Returns { ok: true, values } with every field normalized ('' for optional
+// fields left out), or { ok: false, reason } for the first field that needs a
+// human to look at it. Images are only checked by URL here.
+export const validateFields = (raw, fields, item, shop = null) => {
+  const values = {};
+  for (const field of fields) {
+    const value = String(raw[field.name] ?? '').trim();
+    if (!value) {
+      if (field.required) return { ok: false, reason: `${field.label} is empty` };
+      values[field.name] = '';
+    } else if (field.type === 'image') {
+      const problem = imageUrlProblem(value, field);
+      if (problem) return { ok: false, reason: problem };
+      values[field.name] = value;
+    } else {
+      const check = validateCallSign(raw[field.name], textRules(field, item, shop), field.label);
+      if (!check.ok) return { ok: false, reason: check.reason };
+      values[field.name] = check.value;
+    }
+  }
+  return { ok: true, values };
+};
+
+// --- IMAGE FIELDS ---
+// Downloads an image field and returns it as a PNG, turned upright per its
+// EXIF orientation. Redirects are refused, as they could lead off the
+// allowed hosts.
+export const fetchFieldImage = async (url, field) => {
+  const failed = (reason) => new Error(`${field.label} (${url}) ${reason}`);
+
+  let response;
+  try {
+    response = await fetch(url, { redirect: 'error', signal: AbortSignal.timeout(field.timeoutMs) });
+  } catch (error) {
+    throw failed(`could not be downloaded: ${error.cause?.message || error.message}`);
+  }
+  if (!response.ok) throw failed(`could not be downloaded: HTTP ${response.status}`);
+  if (Number(response.headers.get('content-length')) > field.maxBytes) {
+    throw failed(`is larger than ${field.maxBytes} bytes`);
+  }
+  const bytes = Buffer.from(await response.arrayBuffer());
+  if (bytes.length > field.maxBytes) throw failed(`is larger than ${field.maxBytes} bytes`);
+
+  const metadata = await sharp(bytes).metadata().catch(() => null);
+  if (!IMAGE_FORMATS.includes(metadata?.format)) {
+    throw failed('is not a PNG, JPEG, WebP or GIF image');
+  }
+  if (metadata.width < field.minWidth || metadata.height < field.minHeight) {
+    throw failed(`is ${metadata.width}x${metadata.height} pixels, smaller than ${field.minWidth}x${field.minHeight}`);
+  }
+  return sharp(bytes).rotate().png().toBuffer();
+};
+
+// What the renderer draws (composeDesign in src/render.js): the first text
+// field for regions without a field of their own, and every field by name
+// with images downloaded.
+export const renderContent = async (values, fields) => {
+  const content = { text: values[primaryField(fields)] || '', fields: { ...values } };
+  for (const field of fields.filter((candidate) => candidate.type === 'image' && values[candidate.name])) {
+    content.fields[field.name] = await fetchFieldImage(values[field.name], field);
+  }
+  return content;
+};
@@ -0,0 +1,455 @@
+import JSZip from 'jszip';
+import { storageForShop, NotFoundError } from './storage/index.js';
+import { loadTemplateManifest, composeDesign } from './render.js';
+import { renderOutputs, outputSettingsFor, DEFAULT_OUTPUTS } from './outputs.js';
+import { ledger, ITEM_STATUS } from './ledger.js';
+import {
+  fieldsForItem,
+  primaryField,
+  readFields,
+  isPersonalized,
+  validateFields,
+  normalizeFields,
+  fieldsLabel,
+  renderContent,
+} from './personalization.js';
+import { designLink, orderNumber } from './links.js';
+import { selectTemplate } from './templates.js';
+import { createMockup, mockupMetafield } from './mockups.js';
+import { updateOrder, buildNote, designsMetafield, noteSettings } from './orderUpdate.js';
+import { accessTokenForShop } from './sessions.js';
+import { log, withLogContext } from './logger.js';
+import { designsTotal, renderDuration, lastDesignTimestamp } from './metrics.js';
+
+// --- DESIGN PIPELINE ---
+// The one place that turns an order into design packages. The webhook
+// (src/webhooks.js) and the recovery CLI (manual-recovery.js) both call
+// processOrderPayload, so every order gets the same templates, storage keys,
+// tags and order fields no matter how it was picked up.
+//
+//   processOrderPayload(payload, shop, options)
+//     -> { designs, failures, reviews, planned, skipped, skippedItems, tags, note }
+//
+// `payload` is an ORDERS_CREATE webhook body (or anything shaped like one),
+// `shop` the myshopify domain. Options:
+//   extraTags   - tags added on top of the standard ones (e.g. 'manual_recovery')
+//   accessToken - Admin API token, defaults to the shop's (src/sessions.js)
+//   webhookId   - delivery that triggered the run, recorded in the ledger
+//   force       - re-render line items the ledger already has as done
+//   onlyFailed  - only re-run line items the ledger has as failed
+//   dryRun      - validate and pick templates, but render and write nothing;
+//                 the items that would be rendered are returned in `planned`
+//   onlyChanged - only process line items whose call sign differs from the
+//                 ledger's, or that are new (ORDERS_UPDATED, src/webhooks.js)
+//   lineItemIds - only process these line items
+//   replace     - overwrite a line item's existing package instead of
+//                 uploading a new one next to it (admin re-render)
+//
+// A custom line item is one with a value in any of its personalization fields
+// (src/personalization.js): the call_sign property unless the product maps
+// others. `callSign` below is the line item's label, its text fields joined,
+// which is the call sign itself on single-field products.
+//
+// Staff can override a line item's call sign (its first text field) and
+// template from the admin dashboard (src/admin.js); the overrides are kept in
+// the ledger record (callSignOverride, templateOverride, styleOverride) and
+// win over the order's properties and the template rules.
+//
+// For each custom line item:
+//   1. Items already written to the order (ledger, src/ledger.js) with the same
+//      field values are skipped, and so are items of cancelled orders. When a
+//      field was edited the design is rendered again and the old variant tag
+//      removed.
+//   2. The fields are validated (src/callSign.js rules for text, the URL for
+//      images); a rejected one is not rendered but tagged `call_sign_review`
+//      with the reason.
+//   3. The template is picked (src/templates.js), image fields downloaded, the
+//      design rendered and uploaded, and a mockup is attached when the product
+//      has one (src/mockups.js). A failure is recorded and tagged
+//      `design_failed`; the other items carry on.
+//
+// Results are written to the order as tags, the custom_design.designs JSON
+// metafield and, if enabled in config/notes.json, a note block
+// (src/orderUpdate.js). `note` in the result is null when notes are off. Only
+// errors updating the order itself are thrown to the caller.
+//
+// Personalization fields, template rules, call sign rules, outputs, mockups,
+// notes and storage are the shop's own where it has a copy under
+// config/shops/<shop>/ (src/config.js).
+
+export const DESIGN_TAG = 'has_custom_design';
+export const DESIGN_FAILED_TAG = 'design_failed';
+export const DESIGN_CANCELLED_TAG = 'design_cancelled';
+export const CALL_SIGN_REVIEW_TAG = 'call_sign_review';
+
+// Tags staff act on, and the item status that puts each on the order. A tag
+// is taken off again once no item of the order has that status.
+const ATTENTION_TAGS = [
+  [DESIGN_FAILED_TAG, ITEM_STATUS.FAILED],
+  [CALL_SIGN_REVIEW_TAG, ITEM_STATUS.REVIEW],
+];
+
+// Webhooks send tags as "a, b", the Admin API (src/orders.js) as a list
+const orderTags = (payload) => (Array.isArray(payload.tags)
+  ? payload.tags
+  : String(payload.tags || '').split(',').map((tag) => tag.trim()).filter(Boolean));
+
+// Tag in the format Color/Size/CallSign, taken from a "Color / Size" variant title.
+export const variantTagForItem = (item, callSign) => {
+  const variantParts = (item.variant_title || '').split(' / ');
+  const variantColor = variantParts[0] ? variantParts[0].trim() : 'UnknownColor';
+  const variantSize = variantParts[1] ? variantParts[1].trim() : 'UnknownSize';
+  return `${variantColor}/${variantSize}/${callSign}`;
+};
+
+// Downloads and unpacks a template ZIP: its contents, template.png and the
+// parsed manifest with its fonts.
+export const loadTemplate = async (templateKey, shop = null) => {
+  const templateZipBuffer = await storageForShop(shop).getTemplate(templateKey);
+
+  const zip = await JSZip.loadAsync(templateZipBuffer);
+  const templatePngFile = zip.file(/template\.png$/)[0];
+  if (!templatePngFile) {
+    throw new Error(`template.png not found in ${templateKey}`);
+  }
+  const templatePngBytes = await templatePngFile.async('uint8array');
+  const { manifest, fontFiles } = await loadTemplateManifest(zip, templateKey);
+  return { zip, templatePngBytes, manifest, fontFiles };
+};
+
+// Downloads the template ZIP from storage, draws the content (a call sign, or
+// the fields from renderContent in src/personalization.js) into template.png
+// and returns the repackaged ZIP (packageBuffer) with design.png and any other
+// print outputs configured for the product in its place, plus the finished
+// design.png on its own (designPng).
+export const buildDesignPackage = async (templateKey, content, { style = null, outputs = DEFAULT_OUTPUTS, shop = null } = {}) => {
+  const { zip, templatePngBytes, manifest, fontFiles } = await loadTemplate(templateKey, shop);
+  const design = await composeDesign(templatePngBytes, content, { manifest, fontFiles, style });
+  const outputFiles = await renderOutputs(design, templatePngBytes, fontFiles, outputs);
+
+  // Keep every other asset from the template, swap template.png for the outputs
+  const newZip = new JSZip();
+  for (const [relativePath, file] of Object.entries(zip.files)) {
+    if (!relativePath.endsWith('template.png') && !relativePath.endsWith('template.json')) {
+      newZip.file(relativePath, await file.async('uint8array'));
+    }
+  }
+  for (const [filename, buffer] of Object.entries(outputFiles)) {
+    newZip.file(filename, buffer);
+  }
+  const packageBuffer = await newZip.generateAsync({ type: 'nodebuffer' });
+  return { packageBuffer, designPng: design.png };
+};
+
+// Uploads under a new timestamped key, or under `key` to replace a package.
+export const uploadDesignPackage = async (orderName, lineItemId, zipBuffer, shop = null, key = null) => {
+  key ||= `designs/${orderName.replace('#', '')}-${lineItemId}-${Date.now()}.zip`;
+  await storageForShop(shop).putDesign(key, zipBuffer, 'application/zip');
+  return key;
+};
+
+// The staff override from the ledger, or what the template rules pick.
+const templateForItem = (item, record, shop) =>
+  (record?.templateOverride
+    ? { templateKey: record.templateOverride, style: record.styleOverride || null }
+    : selectTemplate(item, shop));
+
+// Field values as the ledger has them; records from before personalization
+// fields only have the call sign.
+const recordedFields = (record, fields) => record.fields || { [primaryField(fields)]: record.callSign };
+
+const sameFields = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Renders (or reuses) the design for one line item and records it in the
+// ledger. Throws if the template is missing, an image cannot be used, or
+// rendering/upload fails.
+const renderLineItem = async (payload, item, { callSign, values, fields }, itemFields, { shop, accessToken, force, replace }) => {
+  const orderId = payload.admin_graphql_api_id;
+  const record = ledger.getItem(orderId, item.id);
+
+  if (!force && record?.status === ITEM_STATUS.RENDERED && sameFields(recordedFields(record, fields), values)) {
+    // Uploaded last time but the order update never happened: reuse it
+    log.info('Reusing uploaded design', { lineItemId: item.id, key: record.outputKey });
+    return { key: record.outputKey, templateKey: record.templateKey, replacedCallSign: record.replacedCallSign };
+  }
+
+  // Remembered until the order is updated, so the old variant tag is removed
+  // even if that only happens on a retry
+  const replacedCallSign = record?.status === ITEM_STATUS.DONE && record.callSign !== callSign
+    ? record.callSign
+    : record?.replacedCallSign || null;
+
+  const previousKey = record?.outputKey || null;
+  const { templateKey, style } = templateForItem(item, record, shop);
+  log.info('Rendering design', { lineItemId: item.id, callSign, templateKey, style });
+  await ledger.upsertItem(orderId, item.id, {
+    ...itemFields,
+    status: ITEM_STATUS.PENDING,
+    callSign,
+    fields: values,
+    templateKey,
+    style,
+    replacedCallSign,
+    error: null,
+  });
+
+  const { key, designPng } = await renderDuration.time({}, async () => {
+    const content = await renderContent(values, fields);
+    const { packageBuffer, designPng: png } = await buildDesignPackage(templateKey, content, {
+      style,
+      outputs: outputSettingsFor(item, shop),
+      shop,
+    });
+    const uploadedKey = await uploadDesignPackage(payload.name, item.id, packageBuffer, shop, replace ? previousKey : null);
+    return { key: uploadedKey, designPng: png };
+  });
+  lastDesignTimestamp.set({}, Date.now() / 1000);
+
+  // The mockup is a convenience for staff; the design is fine without it
+  let mockupFileId = null;
+  try {
+    mockupFileId = await createMockup(shop, accessToken, payload, item, designPng);
+  } catch (error) {
+    log.warn('Could not create mockup', { lineItemId: item.id, error });
+  }
+
+  await ledger.upsertItem(orderId, item.id, {
+    status: ITEM_STATUS.RENDERED,
+    outputKey: key,
+    mockupFileId,
+    renderedAt: new Date().toISOString(),
+  });
+  return { key, templateKey, replacedCallSign };
+};
+
+const failureReason = (error) =>
+  error instanceof NotFoundError ? `template ZIP ${error.key} not found` : error.message;
+
+// Why a line item should be left alone in this run, or null to process it.
+// `unchanged` says whether its fields are the ones the ledger has.
+const skipReason = (record, unchanged, { force, onlyFailed, onlyChanged }) => {
+  if (record?.status === ITEM_STATUS.CANCELLED && !force) {
+    return 'belongs to a cancelled order';
+  }
+  if (onlyFailed) {
+    return record?.status === ITEM_STATUS.FAILED ? null : `not failed (${record?.status || 'never processed'})`;
+  }
+  if (!record) return null;
+  if (onlyChanged && record.status === ITEM_STATUS.PENDING) {
+    return 'is being rendered';
+  }
+  if (unchanged) {
+    if (record.status === ITEM_STATUS.DONE && !force) return `already has a design (${record.outputKey})`;
+    if (onlyChanged) return 'is unchanged';
+  }
+  return null;
+};
+
+// Everything logged for the order carries its IDs.
+export const processOrderPayload = (payload, shop, options = {}) =>
+  withLogContext({ shop, orderId: payload.admin_graphql_api_id, orderName: payload.name }, () =>
+    processOrder(payload, shop, options));
+
+const processOrder = async (payload, shop, options) => {
+  const {
+    extraTags = [],
+    webhookId = null,
+    force = false,
+    onlyFailed = false,
+    onlyChanged = false,
+    lineItemIds = null,
+    replace = false,
+    dryRun = false,
+  } = options;
+  const accessToken = options.accessToken || (dryRun ? null : await accessTokenForShop(shop));
+  const orderId = payload.admin_graphql_api_id;
+  const customItems = payload.line_items.filter((item) => isPersonalized(item, shop));
+  const designs = [];
+  const failures = [];
+  const reviews = [];
+  const planned = [];
+  const skippedItems = [];
+
+  // Each line item succeeds or fails on its own; one bad template must not
+  // throw away the designs already rendered for the rest of the order.
+  for (const [index, item] of customItems.entries()) {
+    const record = ledger.getItem(orderId, item.id);
+    const fields = fieldsForItem(item, shop);
+    const raw = readFields(item, fields);
+    if (record?.callSignOverride && primaryField(fields)) {
+      raw[primaryField(fields)] = record.callSignOverride;
+    }
+    const rawCallSign = fieldsLabel(raw, fields);
+    const itemFields = {
+      shop,
+      orderName: payload.name,
+      webhookId,
+      title: item.title,
+      position: index + 1,
+      total: customItems.length,
+    };
+
+    if (lineItemIds && !lineItemIds.map(String).includes(String(item.id))) continue;
+
+    // Usually: already written to the order by an earlier delivery or run
+    const unchanged = Boolean(record) && sameFields(
+      normalizeFields(recordedFields(record, fields), fields, item, shop),
+      normalizeFields(raw, fields, item, shop)
+    );
+    const reason = skipReason(record, unchanged, { force, onlyFailed, onlyChanged });
+    if (reason) {
+      log.info('Skipping line item', { lineItemId: item.id, reason });
+      skippedItems.push({ lineItemId: item.id, callSign: rawCallSign, reason });
+      continue;
+    }
+
+    // Rejected values are never rendered; staff check them by hand
+    const check = validateFields(raw, fields, item, shop);
+    if (!check.ok) {
+      log.warn('Call sign needs review', { lineItemId: item.id, callSign: rawCallSign, reason: check.reason });
+      reviews.push({ lineItemId: item.id, callSign: rawCallSign, reason: check.reason });
+      if (dryRun) continue;
+      designsTotal.inc({ result: 'review' });
+      await ledger.upsertItem(orderId, item.id, {
+        ...itemFields,
+        status: ITEM_STATUS.REVIEW,
+        callSign: rawCallSign,
+        fields: raw,
+        error: check.reason,
+      });
+      continue;
+    }
+    const { values } = check;
+    const callSign = fieldsLabel(values, fields);
+
+    if (dryRun) {
+      try {
+        const { templateKey } = templateForItem(item, record, shop);
+        planned.push({ lineItemId: item.id, callSign, templateKey });
+      } catch (error) {
+        failures.push({ lineItemId: item.id, callSign, reason: error.message });
+      }
+      continue;
+    }
+
+    try {
+      const { key, templateKey, replacedCallSign } = await renderLineItem(payload, item, { callSign, values, fields }, itemFields, {
+        shop,
+        accessToken,
+        force,
+        replace,
+      });
+      log.info('Design uploaded', { lineItemId: item.id, key });
+      designsTotal.inc({ result: 'done' });
+      designs.push({
+        lineItemId: item.id,
+        callSign,
+        templateKey,
+        key,
+        url: designLink(payload.name, item.id, shop),
+        tag: variantTagForItem(item, callSign),
+        replacedTag: replacedCallSign ? variantTagForItem(item, replacedCallSign) : null,
+      });
+    } catch (error) {
+      const failure = failureReason(error);
+      log.error('Design failed', { lineItemId: item.id, title: item.title, reason: failure, error });
+      designsTotal.inc({ result: 'failed' });
+      await ledger.upsertItem(orderId, item.id, {
+        ...itemFields,
+        status: ITEM_STATUS.FAILED,
+        callSign,
+        error: failure,
+      });
+      failures.push({ lineItemId: item.id, callSign, reason: failure });
+    }
+  }
+
+  const skipped = skippedItems.length;
+  if (dryRun || (designs.length === 0 && failures.length === 0 && reviews.length === 0)) {
+    return { designs, failures, reviews, planned, skipped, skippedItems, tags: [], note: null };
+  }
+
+  const tags = [...extraTags, ...designs.map((d) => d.tag)];
+  if (designs.length > 0) tags.unshift(DESIGN_TAG);
+  if (failures.length > 0) tags.push(DESIGN_FAILED_TAG);
+  if (reviews.length > 0) tags.push(CALL_SIGN_REVIEW_TAG);
+
+  // Describe the whole order, counting this run's designs as written
+  const records = ledger.itemsForOrder(orderId)
+    .map((record) => (designs.some((d) => d.lineItemId === record.lineItemId)
+      ? { ...record, status: ITEM_STATUS.DONE }
+      : record))
+    .sort((a, b) => (a.position || 0) - (b.position || 0));
+
+  const settled = ATTENTION_TAGS
+    .filter(([tag, status]) => orderTags(payload).includes(tag) && !records.some((record) => record.status === status))
+    .map(([tag]) => tag);
+  const removeTags = [...designs.map((d) => d.replacedTag), ...settled].filter((tag) => tag && !tags.includes(tag));
+
+  const metafields = [designsMetafield(orderId, records)];
+  const mockupFileIds = records.map((record) => record.mockupFileId).filter(Boolean);
+  if (mockupFileIds.length > 0) {
+    metafields.push(mockupMetafield(orderId, mockupFileIds));
+  }
+
+  const notes = noteSettings(shop);
+  const note = notes.enabled ? buildNote(payload.note, records, notes) : null;
+
+  await updateOrder(shop, accessToken, orderId, { tags, removeTags, metafields, note });
+  for (const design of designs) {
+    await ledger.upsertItem(orderId, design.lineItemId, { status: ITEM_STATUS.DONE, replacedCallSign: null, error: null });
+  }
+  log.info('Updated order', { designs: designs.length, failures: failures.length, reviews: reviews.length });
+  return { designs, failures, reviews, planned, skipped, skippedItems, tags, note };
+};
+
+// True when the ledger shows every custom line item of the order as done.
+// Returns null when the ledger has never seen the order.
+export const isOrderComplete = (payload, shop = null) => {
+  const orderId = payload.admin_graphql_api_id;
+  const customItems = payload.line_items.filter((item) => isPersonalized(item, shop));
+  const records = customItems.map((item) => ledger.getItem(orderId, item.id));
+  if (records.every((record) => !record)) return null;
+  return records.every((record) => record?.status === ITEM_STATUS.DONE);
+};
+
+// Marks the designs of a cancelled order as cancelled and, with deleteFiles,
+// removes every package rendered for it from storage. The metafield and note
+// are rewritten; orders the ledger has never seen are left alone.
+export const cancelOrderDesigns = (payload, shop, options = {}) =>
+  withLogContext({ shop, orderId: payload.admin_graphql_api_id, orderName: payload.name }, () =>
+    cancelOrder(payload, shop, options));
+
+const cancelOrder = async (payload, shop, { accessToken, deleteFiles = false }) => {
+  const orderId = payload.admin_graphql_api_id;
+  const storage = storageForShop(shop);
+  const pending = ledger.itemsForOrder(orderId).filter((record) =>
+    record.status !== ITEM_STATUS.CANCELLED || (deleteFiles && record.outputKey));
+  if (pending.length === 0) return { cancelled: 0, deleted: [] };
+
+  const deleted = [];
+  for (const record of pending) {
+    const fields = { status: ITEM_STATUS.CANCELLED };
+    if (deleteFiles) {
+      // Earlier renders (e.g. before a call sign edit) share the key prefix
+      const keys = new Set(await storage.listDesigns(`designs/${orderNumber(payload.name)}-${record.lineItemId}-`));
+      if (record.outputKey) keys.add(record.outputKey);
+      for (const key of keys) {
+        await storage.deleteDesign(key);
+        deleted.push(key);
+      }
+      Object.assign(fields, { outputKey: null, filesDeletedAt: new Date().toISOString() });
+    }
+    await ledger.upsertItem(orderId, record.lineItemId, fields);
+  }
+
+  const records = ledger.itemsForOrder(orderId).sort((a, b) => (a.position || 0) - (b.position || 0));
+  const notes = noteSettings(shop);
+  await updateOrder(shop, accessToken || (await accessTokenForShop(shop)), orderId, {
+    tags: [DESIGN_CANCELLED_TAG],
+    metafields: [designsMetafield(orderId, records)],
+    note: notes.enabled ? buildNote(payload.note, records, notes) : null,
+  });
+  log.info('Cancelled designs', { cancelled: pending.length, deletedFiles: deleted.length });
+  return { cancelled: pending.length, deleted };
+};
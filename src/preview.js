@@ -0,0 +1,93 @@
+import sharp from 'sharp';
+import { loadTemplate } from './pipeline.js';
+import { renderDesign } from './render.js';
+import { selectTemplate } from './templates.js';
+import { fieldsForItem, primaryField, readFields, validateFields } from './personalization.js';
+import { NotFoundError } from './storage/index.js';
+
+// --- STOREFRONT PREVIEW ---
+// Renders what the webhook will produce for a call sign (or the product's
+// other text fields), with the same template selection, validation and
+// renderer, but downscaled and watermarked so it cannot be used as a print
+// file. Image fields are left blank: the preview is public, so it does not
+// download customer URLs.
+
+const PREVIEW_WIDTH = Number(process.env.PREVIEW_WIDTH) || 800;
+const CACHE_TTL_MS = (Number(process.env.PREVIEW_CACHE_TTL_SECONDS) || 600) * 1000;
+const CACHE_MAX_ENTRIES = Number(process.env.PREVIEW_CACHE_MAX_ENTRIES) || 20;
+
+// Decoded templates, keyed by shop and template key. Oldest entries are dropped once
+// the cache is full; entries expire so template updates are picked up.
+const templateCache = new Map();
+
+const cachedTemplate = async (templateKey, shop) => {
+  const cacheKey = `${shop || ''}|${templateKey}`;
+  const cached = templateCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.template;
+
+  const template = loadTemplate(templateKey, shop);
+  templateCache.set(cacheKey, { template, expiresAt: Date.now() + CACHE_TTL_MS });
+  template.catch(() => templateCache.delete(cacheKey));
+
+  while (templateCache.size > CACHE_MAX_ENTRIES) {
+    templateCache.delete(templateCache.keys().next().value);
+  }
+  return template;
+};
+
+const watermark = (width, height) => {
+  const fontSize = Math.max(16, Math.round(width / 10));
+  return Buffer.from(`
+    <svg width="${width}" height="${height}">
+      <style>
+        .mark { fill: #ffffff; fill-opacity: 0.35; stroke: #000000; stroke-opacity: 0.2;
+                font-size: ${fontSize}px; font-weight: bold; font-family: Helvetica; }
+      </style>
+      <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" class="mark"
+            transform="rotate(-30 ${width / 2} ${height / 2})">PREVIEW</text>
+    </svg>`);
+};
+
+const previewError = (status, message) => Object.assign(new Error(message), { status });
+
+// `item` is shaped like a webhook line item (product_id, variant_id, sku,
+// title, variant_title, properties) and `shop` picks the shop's templates and
+// rules. Returns a PNG buffer, or throws an error with a `status` for the
+// HTTP response.
+export const renderPreview = async (item, shop = null) => {
+  const fields = fieldsForItem(item, shop).filter((field) => field.type === 'text');
+  const check = validateFields(readFields(item, fields), fields, item, shop);
+  if (!check.ok) throw previewError(422, check.reason);
+
+  let templateKey;
+  let style;
+  try {
+    ({ templateKey, style } = selectTemplate(item, shop));
+  } catch (error) {
+    throw previewError(404, error.message);
+  }
+
+  let template;
+  try {
+    template = await cachedTemplate(templateKey, shop);
+  } catch (error) {
+    if (error instanceof NotFoundError) throw previewError(404, 'no template for this product');
+    throw error;
+  }
+
+  const content = { text: check.values[primaryField(fields)] || '', fields: check.values };
+  const designPng = await renderDesign(template.templatePngBytes, content, {
+    manifest: template.manifest,
+    fontFiles: template.fontFiles,
+    style,
+  });
+  const { data, info } = await sharp(designPng)
+    .resize({ width: PREVIEW_WIDTH, withoutEnlargement: true })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  return sharp(data)
+    .composite([{ input: watermark(info.width, info.height) }])
+    .png()
+    .toBuffer();
+};
@@ -0,0 +1,122 @@
+import { log } from './logger.js';
+
+// --- BACKGROUND JOB QUEUE ---
+// In-process queue that runs `worker(job)` with bounded concurrency. A job
+// that throws is retried with exponential backoff (baseDelayMs, 2x, 4x, ...
+// capped at maxDelayMs, with jitter); after maxAttempts it moves to the
+// dead-letter list and `onDeadLetter(job, error)` is called.
+//
+// Jobs are plain objects with an `id`; pushing an id that is already queued,
+// running or waiting for a retry is ignored. Jobs with the same `lane` (e.g.
+// the order they are about) run one after another: a job waits while another
+// in its lane is running or waiting for a retry, and jobs behind it in other
+// lanes go first. A later job never overtakes a failed one, whose retry would
+// otherwise undo what the later one did.
+
+export const createQueue = ({
+  worker,
+  concurrency = 2,
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  maxDelayMs = 5 * 60 * 1000,
+  onDeadLetter = () => {},
+}) => {
+  const waiting = [];
+  const scheduled = new Map();
+  const running = new Set();
+  // lane -> id of the job holding it until it is done or dead-lettered
+  const laneHolders = new Map();
+  const deadLetters = [];
+  let idleResolvers = [];
+
+  const known = (id) =>
+    running.has(id) || scheduled.has(id) || waiting.some((job) => job.id === id);
+
+  const backoff = (attempts) => {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+  };
+
+  const checkIdle = () => {
+    if (waiting.length === 0 && scheduled.size === 0 && running.size === 0) {
+      idleResolvers.forEach((resolve) => resolve());
+      idleResolvers = [];
+    }
+  };
+
+  const canRun = (job) => !job.lane || (laneHolders.get(job.lane) ?? job.id) === job.id;
+
+  const run = async (job) => {
+    running.add(job.id);
+    if (job.lane) laneHolders.set(job.lane, job.id);
+    job.attempts++;
+    try {
+      await worker(job);
+    } catch (error) {
+      job.lastError = error.message;
+      if (job.attempts < maxAttempts) {
+        const delay = backoff(job.attempts);
+        log.warn('Job failed, retrying', { jobId: job.id, attempt: job.attempts, maxAttempts, retryInMs: delay, error });
+        scheduled.set(job.id, setTimeout(() => {
+          scheduled.delete(job.id);
+          waiting.push(job);
+          pump();
+        }, delay));
+      } else {
+        log.error('Job failed on its last attempt, moved to dead letters', { jobId: job.id, attempts: job.attempts, error });
+        const entry = { ...job, failedAt: new Date().toISOString() };
+        deadLetters.push(entry);
+        try {
+          await onDeadLetter(entry, error);
+        } catch (deadLetterError) {
+          log.error('Could not record dead letter', { jobId: job.id, error: deadLetterError });
+        }
+      }
+    } finally {
+      running.delete(job.id);
+      if (job.lane && !scheduled.has(job.id)) laneHolders.delete(job.lane);
+      pump();
+    }
+  };
+
+  const pump = () => {
+    while (running.size < concurrency) {
+      const next = waiting.findIndex(canRun);
+      if (next === -1) break;
+      run(waiting.splice(next, 1)[0]);
+    }
+    checkIdle();
+  };
+
+  return {
+    push(job) {
+      if (known(job.id)) return false;
+      waiting.push({ ...job, attempts: 0, enqueuedAt: new Date().toISOString() });
+      pump();
+      return true;
+    },
+
+    has: known,
+
+    stats() {
+      return {
+        waiting: waiting.length,
+        running: running.size,
+        retrying: scheduled.size,
+        deadLetters: deadLetters.length,
+      };
+    },
+
+    deadLetters() {
+      return [...deadLetters];
+    },
+
+    // Resolves when nothing is waiting, running or scheduled for a retry.
+    onIdle() {
+      return new Promise((resolve) => {
+        idleResolvers.push(resolve);
+        checkIdle();
+      });
+    },
+  };
+};
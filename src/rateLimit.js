@@ -0,0 +1,33 @@
+// --- RATE LIMITING ---
+// Fixed-window request limit per client IP, kept in memory. Good enough for
+// a single instance; every instance counts on its own.
+export const rateLimit = ({ windowMs = 60 * 1000, max = 30 } = {}) => {
+  const hits = new Map();
+
+  // Forget finished windows so the map does not grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(ip);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+    entry.count++;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: 'Too many preview requests, try again shortly.' });
+    }
+    next();
+  };
+};
@@ -0,0 +1,127 @@
+import { ledger, ITEM_STATUS } from './ledger.js';
+import { processOrderPayload, DESIGN_TAG } from './pipeline.js';
+import { isPersonalized } from './personalization.js';
+import { searchOrders } from './orders.js';
+import { accessTokenForShop, installedShops } from './sessions.js';
+import { log } from './logger.js';
+
+// --- CATCH-UP RECONCILER ---
+// Finds orders whose ORDERS_CREATE webhook never arrived (or died half way)
+// and runs them through the normal pipeline. Each run pages through the
+// orders created since the shop's high-water mark, kept in the ledger as the
+// checkpoint "reconcile:<shop>", and moves the mark forward when it is done.
+//
+// Orders younger than RECONCILE_MIN_AGE_MINUTES are left for the next run so
+// the reconciler does not race a webhook that is still on its way. The very
+// first run looks back RECONCILE_LOOKBACK_HOURS.
+//
+// Started on an interval for every installed shop by index.js
+// (RECONCILE_INTERVAL_MINUTES) and from the command line with
+// `npm run reconcile`.
+
+export const RECONCILE_TAG = 'auto_recovery';
+
+const MINUTE = 60 * 1000;
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+const checkpointName = (shop) => `reconcile:${shop}`;
+
+// An order was missed when one of its custom line items never reached the
+// ledger, or got stuck before its design was written to the order. Items that
+// failed or are waiting for call sign review were handled and are left alone.
+// Orders from before the ledger existed count as done when they carry the tag.
+export const isMissedOrder = (payload, shop = null) => {
+  const customItems = payload.line_items.filter((item) => isPersonalized(item, shop));
+  if (customItems.length === 0) return false;
+
+  const records = customItems.map((item) => ledger.getItem(payload.admin_graphql_api_id, item.id));
+  if (records.every((record) => !record) && payload.tags?.includes(DESIGN_TAG)) return false;
+  return records.some(
+    (record) => !record || record.status === ITEM_STATUS.PENDING || record.status === ITEM_STATUS.RENDERED
+  );
+};
+
+const running = new Set();
+
+// Returns { shop, from, to, checked, missed, recovered, errors } where missed
+// and recovered are order names and errors is [{ order, error }]. A dry run
+// only reports the missed orders and leaves the high-water mark where it is.
+export const reconcileOrders = async (shop, { accessToken, since, dryRun = false } = {}) => {
+  if (running.has(shop)) throw new Error(`a reconcile run for ${shop} is already in progress`);
+  running.add(shop);
+  try {
+    const token = accessToken || (await accessTokenForShop(shop));
+    const now = Date.now();
+    const checkpoint = ledger.getCheckpoint(checkpointName(shop));
+    const from = since
+      || checkpoint?.highWaterMark
+      || new Date(now - envNumber('RECONCILE_LOOKBACK_HOURS', 24) * 60 * MINUTE).toISOString();
+    const to = new Date(now - envNumber('RECONCILE_MIN_AGE_MINUTES', 10) * MINUTE).toISOString();
+    const summary = { shop, from, to, checked: 0, missed: [], recovered: [], errors: [] };
+    if (from >= to) return summary;
+
+    log.info('Reconciling orders', { shop, from, to });
+    // The mark stops at the first order that could not be processed, so the
+    // next run tries it again.
+    let firstFailure = null;
+    for await (const order of searchOrders(shop, `created_at:>=${from} created_at:<=${to}`, { accessToken: token })) {
+      summary.checked++;
+      if (!isMissedOrder(order, shop)) continue;
+
+      log.info('Order has no finished design, recovering', { shop, orderId: order.admin_graphql_api_id, orderName: order.name, dryRun });
+      summary.missed.push(order.name);
+      if (dryRun) continue;
+      try {
+        await processOrderPayload(order, shop, { accessToken: token, extraTags: [RECONCILE_TAG] });
+        summary.recovered.push(order.name);
+      } catch (error) {
+        log.error('Could not recover order', { shop, orderId: order.admin_graphql_api_id, orderName: order.name, error });
+        summary.errors.push({ order: order.name, error: error.message });
+        firstFailure ??= order.created_at;
+      }
+    }
+
+    if (!dryRun) {
+      await ledger.setCheckpoint(checkpointName(shop), {
+        highWaterMark: firstFailure || to,
+        lastRunAt: new Date(now).toISOString(),
+        checked: summary.checked,
+        recovered: summary.recovered.length,
+        errors: summary.errors.length,
+      });
+    }
+    log.info('Reconciled orders', {
+      shop,
+      checked: summary.checked,
+      missed: summary.missed.length,
+      recovered: summary.recovered.length,
+      errors: summary.errors.length,
+    });
+    return summary;
+  } finally {
+    running.delete(shop);
+  }
+};
+
+// Runs reconcileOrders for every installed shop each `intervalMinutes`;
+// returns a function that stops it. A shop whose run is still going when the
+// next one is due is not doubled up.
+export const startReconciler = ({ intervalMinutes }) => {
+  const tick = async () => {
+    const shops = await installedShops().catch((error) => {
+      log.error('Could not list installed shops', { error });
+      return [];
+    });
+    for (const shop of shops) {
+      if (running.has(shop)) continue;
+      try {
+        await reconcileOrders(shop);
+      } catch (error) {
+        log.error('Reconcile run failed', { shop, error });
+      }
+    }
+  };
+  const timer = setInterval(tick, intervalMinutes * MINUTE);
+  timer.unref();
+  tick();
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,309 @@
+import sharp from 'sharp';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { escapeXml } from './callSign.js';
+
+// --- TEMPLATE MANIFEST ---
+// A template ZIP may carry a `template.json` next to `template.png` describing
+// where and how the personalization is drawn:
+//
+// {
+//   "regions": [{
+//     "name": "front",
+//     "box": { "x": 400, "y": 900, "width": 3200, "height": 1100 },
+//     "font": { "file": "fonts/Stencil.ttf", "family": "Stencil", "weight": "bold", "size": 980 },
+//     "color": "#f0cc00",
+//     "align": "center",          // left | center | right
+//     "verticalAlign": "middle",  // top | middle | bottom
+//     "letterSpacing": 5,         // px
+//     "rotation": 0,              // degrees, clockwise
+//     "autoShrink": true,         // shrink the font until the text fits the box
+//     "minSize": 200,             // smallest font size autoShrink may use
+//     "styles": {                 // overrides for a template style variant
+//       "light": { "color": "#1a1a1a" }
+//     }
+//   }, {
+//     "name": "badge",
+//     "type": "image",            // text (default) | image
+//     "field": "logo",            // personalization field drawn here
+//     "box": { "x": 3000, "y": 200, "width": 600, "height": 600 },
+//     "fit": "contain",           // contain | cover | fill
+//     "align": "right"
+//   }]
+// }
+//
+// Regions with a "field" draw that personalization field (src/personalization.js),
+// text or image; the others draw the line item's main text, the call sign on
+// single-field products. A region whose field was left empty stays blank.
+// Image regions need a box and a field; the image is scaled into the box per
+// "fit" and placed with align/verticalAlign and rotation like text. The style
+// variant comes from the template mapping (src/templates.js). Without a
+// manifest the renderer falls back to DEFAULT_REGION, which matches the
+// original hardcoded overlay.
+export const MANIFEST_FILENAME = 'template.json';
+
+export const DEFAULT_REGION = {
+  name: 'default',
+  type: 'text',
+  field: null,
+  box: null, // null = the whole template
+  font: { file: null, family: 'Helvetica', weight: 'bold', size: 980 },
+  color: '#f0cc00',
+  align: 'center',
+  verticalAlign: 'middle',
+  letterSpacing: 5,
+  rotation: 0,
+  autoShrink: false,
+  minSize: 1,
+  fit: 'contain',
+};
+
+const REGION_TYPES = ['text', 'image'];
+const ALIGNMENTS = ['left', 'center', 'right'];
+const VERTICAL_ALIGNMENTS = ['top', 'middle', 'bottom'];
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// "fit" in the manifest -> sharp's resize fit
+const IMAGE_FITS = { contain: 'inside', cover: 'cover', fill: 'fill' };
+
+const normalizeRegion = (region, index) => {
+  const merged = {
+    ...DEFAULT_REGION,
+    ...region,
+    name: region.name || `region_${index + 1}`,
+    font: { ...DEFAULT_REGION.font, ...region.font },
+  };
+
+  if (!REGION_TYPES.includes(merged.type)) {
+    throw new Error(`region "${merged.name}" has invalid type "${merged.type}"`);
+  }
+  if (merged.type === 'image' && (!merged.box || !merged.field)) {
+    throw new Error(`image region "${merged.name}" needs a box and a field`);
+  }
+  if (!IMAGE_FITS[merged.fit]) {
+    throw new Error(`region "${merged.name}" has invalid fit "${merged.fit}"`);
+  }
+
+  if (merged.box) {
+    for (const field of ['x', 'y', 'width', 'height']) {
+      if (!Number.isFinite(merged.box[field])) {
+        throw new Error(`region "${merged.name}" box.${field} must be a number`);
+      }
+    }
+  }
+  if (!ALIGNMENTS.includes(merged.align)) {
+    throw new Error(`region "${merged.name}" has invalid align "${merged.align}"`);
+  }
+  if (!VERTICAL_ALIGNMENTS.includes(merged.verticalAlign)) {
+    throw new Error(`region "${merged.name}" has invalid verticalAlign "${merged.verticalAlign}"`);
+  }
+  if (!Number.isFinite(merged.font.size) || merged.font.size <= 0) {
+    throw new Error(`region "${merged.name}" font.size must be a positive number`);
+  }
+  if (merged.type === 'text' && merged.font.file && !region.font?.family) {
+    throw new Error(`region "${merged.name}" must name the font family contained in ${merged.font.file}`);
+  }
+  return merged;
+};
+
+// Parses template.json from an already-loaded JSZip. Returns null when the ZIP
+// has no manifest so callers can fall back to the default overlay.
+export const readManifest = async (zip, templateKey = 'template') => {
+  const manifestFile = zip.file(/template\.json$/)[0];
+  if (!manifestFile) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(await manifestFile.async('string'));
+  } catch (error) {
+    throw new Error(`Invalid ${MANIFEST_FILENAME} in ${templateKey}: ${error.message}`);
+  }
+  if (!Array.isArray(raw.regions) || raw.regions.length === 0) {
+    throw new Error(`Invalid ${MANIFEST_FILENAME} in ${templateKey}: "regions" must be a non-empty array`);
+  }
+
+  try {
+    return { ...raw, regions: raw.regions.map(normalizeRegion) };
+  } catch (error) {
+    throw new Error(`Invalid ${MANIFEST_FILENAME} in ${templateKey}: ${error.message}`);
+  }
+};
+
+// Font files referenced by the manifest are written to a temp directory,
+// because libvips can only load fonts from disk. Files are named by content
+// hash, so the same font is only ever written once per machine.
+const fontDir = path.join(os.tmpdir(), 'design-fonts');
+
+export const extractFonts = async (zip, manifest, templateKey = 'template') => {
+  const fontFiles = {};
+  if (!manifest) return fontFiles;
+
+  for (const region of manifest.regions) {
+    const file = region.type === 'text' ? region.font.file : null;
+    if (!file || fontFiles[file]) continue;
+
+    const entry = zip.file(file);
+    if (!entry) {
+      throw new Error(`Font ${file} referenced by region "${region.name}" not found in ${templateKey}`);
+    }
+    const bytes = await entry.async('nodebuffer');
+    const hash = crypto.createHash('sha1').update(bytes).digest('hex');
+    const fontPath = path.join(fontDir, `${hash}${path.extname(file)}`);
+
+    await fs.mkdir(fontDir, { recursive: true });
+    await fs.writeFile(fontPath, bytes, { flag: 'wx' }).catch((error) => {
+      if (error.code !== 'EEXIST') throw error;
+    });
+    fontFiles[file] = fontPath;
+  }
+  return fontFiles;
+};
+
+// Loads everything the renderer needs from a template ZIP in one go.
+export const loadTemplateManifest = async (zip, templateKey) => {
+  const manifest = await readManifest(zip, templateKey);
+  const fontFiles = await extractFonts(zip, manifest, templateKey);
+  return { manifest, fontFiles };
+};
+
+// --- TEXT RENDERING ---
+const renderTextAtSize = async (region, text, size, fontFiles) => {
+  // Pango letter_spacing is expressed in 1/1024 of a point; at 72 DPI 1pt = 1px.
+  const spacing = Math.round(region.letterSpacing * 1024);
+  const markup = `<span foreground="${region.color}" letter_spacing="${spacing}">${escapeXml(text)}</span>`;
+  const { data, info } = await sharp({
+    text: {
+      text: markup,
+      font: `${region.font.family} ${region.font.weight} ${size}`,
+      fontfile: region.font.file ? fontFiles[region.font.file] : undefined,
+      rgba: true,
+      dpi: 72,
+      wrap: 'none',
+    },
+  }).png().toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height, size };
+};
+
+// Renders the text at the region's font size, shrinking it (when the region
+// asks for it) until it fits inside the box.
+const renderRegionText = async (region, text, box, fontFiles) => {
+  let size = region.font.size;
+  let rendered = await renderTextAtSize(region, text, size, fontFiles);
+
+  for (let attempt = 0; region.autoShrink && attempt < 5; attempt++) {
+    const scale = Math.min(box.width / rendered.width, box.height / rendered.height);
+    if (scale >= 1 || size <= region.minSize) break;
+    size = Math.max(region.minSize, Math.floor(size * scale * 0.98));
+    rendered = await renderTextAtSize(region, text, size, fontFiles);
+  }
+  return rendered;
+};
+
+// --- IMAGE LAYERS ---
+// Scales an image (PNG buffer) into the region's box.
+const renderRegionImage = async (region, image, box) => {
+  const { data, info } = await sharp(image)
+    .resize({ width: Math.round(box.width), height: Math.round(box.height), fit: IMAGE_FITS[region.fit] })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+};
+
+// Checks that a region got the kind of value it draws; a URL string reaching
+// an image region would otherwise be read by sharp as a file path.
+const regionValue = (region, text, fields) => {
+  const value = region.field ? fields[region.field] : text;
+  if (value === undefined || value === null || value === '') return null;
+  const isImage = Buffer.isBuffer(value);
+  if (isImage !== (region.type === 'image')) {
+    throw new Error(`region "${region.name}" draws ${region.type}, but field "${region.field}" is ${isImage ? 'an image' : 'text'}`);
+  }
+  return value;
+};
+
+const applyStyle = (region, style) => {
+  const overrides = style && region.styles?.[style];
+  if (!overrides) return region;
+  return { ...region, ...overrides, font: { ...region.font, ...overrides.font } };
+};
+
+const alignOffset = (alignment, space, length) => {
+  if (alignment === 'left' || alignment === 'top') return 0;
+  if (alignment === 'right' || alignment === 'bottom') return space - length;
+  return (space - length) / 2;
+};
+
+// sharp refuses overlays that stick out of the base image, so crop the overlay
+// to the part that actually lands on the canvas.
+const clipToCanvas = async (overlay, left, top, canvas) => {
+  const x0 = Math.max(0, left);
+  const y0 = Math.max(0, top);
+  const x1 = Math.min(canvas.width, left + overlay.width);
+  const y1 = Math.min(canvas.height, top + overlay.height);
+  if (x1 <= x0 || y1 <= y0) return null;
+
+  if (x0 === left && y0 === top && x1 - x0 === overlay.width && y1 - y0 === overlay.height) {
+    return { input: overlay.buffer, left, top };
+  }
+  const input = await sharp(overlay.buffer)
+    .extract({ left: x0 - left, top: y0 - top, width: x1 - x0, height: y1 - y0 })
+    .toBuffer();
+  return { input, left: x0, top: y0 };
+};
+
+// --- PUBLIC RENDERER ---
+// Draws the content onto the template PNG according to the manifest (or the
+// default overlay when manifest is null), using the region overrides for
+// `style` if the manifest has any. `content` is a string drawn in every
+// region, or { text, fields } from renderContent in src/personalization.js,
+// with image fields as PNG buffers. Returns the finished PNG plus the layout
+// of every region drawn (final font size or image, and where it landed, in
+// template pixels), which the print outputs use to rebuild the design.
+export const composeDesign = async (templatePngBytes, content, { manifest = null, fontFiles = {}, style = null } = {}) => {
+  const { text, fields = {} } = typeof content === 'string' ? { text: content } : content;
+  const metadata = await sharp(templatePngBytes).metadata();
+  const canvas = { width: metadata.width, height: metadata.height };
+  const regions = manifest ? manifest.regions : [DEFAULT_REGION];
+
+  const composites = [];
+  const layout = [];
+  for (const region of regions.map((r) => applyStyle(r, style))) {
+    const value = regionValue(region, text, fields);
+    if (value === null) continue;
+
+    const box = region.box || { x: 0, y: 0, ...canvas };
+    let overlay = region.type === 'image'
+      ? await renderRegionImage(region, value, box)
+      : await renderRegionText(region, value, box, fontFiles);
+
+    if (region.rotation) {
+      const { data, info } = await sharp(overlay.buffer)
+        .rotate(region.rotation, { background: TRANSPARENT })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+      overlay = { ...overlay, buffer: data, width: info.width, height: info.height };
+    }
+
+    const left = Math.round(box.x + alignOffset(region.align, box.width, overlay.width));
+    const top = Math.round(box.y + alignOffset(region.verticalAlign, box.height, overlay.height));
+    const placement = { left, top, width: overlay.width, height: overlay.height };
+    layout.push(region.type === 'image'
+      ? { region, image: overlay.buffer, ...placement }
+      : { region, text: value, fontSize: overlay.size, ...placement });
+
+    const composite = await clipToCanvas(overlay, left, top, canvas);
+    if (composite) composites.push(composite);
+  }
+
+  const png = await sharp(templatePngBytes)
+    .composite(composites)
+    .png()
+    .toBuffer();
+  return { png, layout, width: canvas.width, height: canvas.height };
+};
+
+// Same as composeDesign, returning only the PNG buffer.
+export const renderDesign = async (templatePngBytes, content, options) =>
+  (await composeDesign(templatePngBytes, content, options)).png;
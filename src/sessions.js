@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { Session } from '@shopify/shopify-api';
+import { shopify } from './clients.js';
+
+// --- SESSION STORAGE ---
+// Offline access tokens for every shop that installed the app through
+// /auth. Stores have the same methods as Shopify's session storage packages,
+// plus allSessions() so background jobs can visit every installed shop:
+//
+//   storeSession(session)     loadSession(id)         deleteSession(id)
+//   deleteSessions(ids)       findSessionsByShop(shop) allSessions()
+//
+// SESSION_STORE picks the store: "file" (default, a JSON file at
+// SESSION_FILE_PATH or data/sessions.json) or "sqlite" (SESSION_DB_PATH or
+// data/sessions.sqlite, needs the optional better-sqlite3 package).
+//
+// A shop installed before OAuth existed keeps working through SHOP_URL and
+// SHOPIFY_ACCESS_TOKEN; see accessTokenForShop.
+
+const toSession = (properties) => Session.fromPropertyArray(Object.entries(properties));
+const toProperties = (session) => Object.fromEntries(session.toPropertyArray());
+
+export const createFileSessionStore = (filePath) => {
+  let sessions = null;
+  let writeChain = Promise.resolve();
+
+  const load = () => {
+    if (sessions) return sessions;
+    try {
+      sessions = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      sessions = {};
+    }
+    return sessions;
+  };
+
+  // Same temp-file-and-rename write as the ledger (src/ledger.js)
+  const save = () => {
+    const snapshot = JSON.stringify(sessions, null, 2);
+    writeChain = writeChain.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot, { mode: 0o600 });
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    return writeChain;
+  };
+
+  return {
+    async storeSession(session) {
+      load()[session.id] = toProperties(session);
+      await save();
+      return true;
+    },
+
+    async loadSession(id) {
+      const properties = load()[id];
+      return properties ? toSession(properties) : undefined;
+    },
+
+    async deleteSession(id) {
+      delete load()[id];
+      await save();
+      return true;
+    },
+
+    async deleteSessions(ids) {
+      ids.forEach((id) => delete load()[id]);
+      await save();
+      return true;
+    },
+
+    async findSessionsByShop(shop) {
+      return Object.values(load())
+        .filter((properties) => properties.shop === shop)
+        .map(toSession);
+    },
+
+    async allSessions() {
+      return Object.values(load()).map(toSession);
+    },
+  };
+};
+
+export const createSqliteSessionStore = (dbPath) => {
+  // Loaded here so installs without the optional package still start
+  const Database = createRequire(import.meta.url)('better-sqlite3');
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.exec(`CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    shop TEXT NOT NULL,
+    properties TEXT NOT NULL
+  )`);
+  db.exec('CREATE INDEX IF NOT EXISTS sessions_shop ON sessions (shop)');
+
+  const rows = (statement, ...params) =>
+    statement.all(...params).map((row) => toSession(JSON.parse(row.properties)));
+  const upsert = db.prepare(
+    'INSERT INTO sessions (id, shop, properties) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET shop = excluded.shop, properties = excluded.properties'
+  );
+  const byId = db.prepare('SELECT properties FROM sessions WHERE id = ?');
+  const byShop = db.prepare('SELECT properties FROM sessions WHERE shop = ?');
+  const all = db.prepare('SELECT properties FROM sessions');
+  const remove = db.prepare('DELETE FROM sessions WHERE id = ?');
+  const removeMany = db.transaction((ids) => ids.forEach((id) => remove.run(id)));
+
+  return {
+    async storeSession(session) {
+      upsert.run(session.id, session.shop, JSON.stringify(toProperties(session)));
+      return true;
+    },
+
+    async loadSession(id) {
+      const row = byId.get(id);
+      return row ? toSession(JSON.parse(row.properties)) : undefined;
+    },
+
+    async deleteSession(id) {
+      remove.run(id);
+      return true;
+    },
+
+    async deleteSessions(ids) {
+      removeMany(ids);
+      return true;
+    },
+
+    async findSessionsByShop(shop) {
+      return rows(byShop, shop);
+    },
+
+    async allSessions() {
+      return rows(all);
+    },
+  };
+};
+
+const stores = {
+  file: () => createFileSessionStore(process.env.SESSION_FILE_PATH || path.resolve('data', 'sessions.json')),
+  sqlite: () => createSqliteSessionStore(process.env.SESSION_DB_PATH || path.resolve('data', 'sessions.sqlite')),
+};
+
+export const createSessionStore = (kind = process.env.SESSION_STORE || 'file') => {
+  if (!stores[kind]) {
+    throw new Error(`Unknown SESSION_STORE "${kind}" (expected ${Object.keys(stores).join(', ')})`);
+  }
+  return stores[kind]();
+};
+
+export const sessionStore = createSessionStore();
+
+// The offline token for `shop`, from its installation or, for the shop the
+// app was first set up for, from SHOPIFY_ACCESS_TOKEN.
+export const accessTokenForShop = async (shop) => {
+  const session = await sessionStore.loadSession(shopify.session.getOfflineId(shop));
+  if (session?.accessToken) return session.accessToken;
+  if (shop === process.env.SHOP_URL && process.env.SHOPIFY_ACCESS_TOKEN) {
+    return process.env.SHOPIFY_ACCESS_TOKEN;
+  }
+  throw new Error(`No access token for ${shop}; install the app through /auth?shop=${shop}`);
+};
+
+// Every shop with a token: the installed ones plus SHOP_URL if it has one.
+export const installedShops = async () => {
+  const shops = new Set(
+    (await sessionStore.allSessions())
+      .filter((session) => !session.isOnline && session.accessToken)
+      .map((session) => session.shop)
+  );
+  if (process.env.SHOP_URL && process.env.SHOPIFY_ACCESS_TOKEN) shops.add(process.env.SHOP_URL);
+  return [...shops];
+};
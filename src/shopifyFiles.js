@@ -0,0 +1,65 @@
+import { graphqlClient } from './clients.js';
+
+// --- SHOPIFY FILES ---
+// Uploads a buffer to the shop's Files through a staged upload and returns
+// the new file's GID. Shopify processes images asynchronously; the ID can be
+// referenced from metafields straight away.
+
+const userErrorsOf = (result) => result?.userErrors || [];
+
+const throwOnUserErrors = (operation, result) => {
+  const userErrors = userErrorsOf(result);
+  if (userErrors.length > 0) {
+    const error = new Error(`${operation} returned errors: ${userErrors.map((e) => e.message).join('; ')}`);
+    error.userErrors = userErrors;
+    throw error;
+  }
+};
+
+export const uploadFile = async (shop, accessToken, { filename, mimeType, buffer, alt = '' }) => {
+  const client = graphqlClient(shop, accessToken);
+
+  const staged = await client.request(
+    `mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+      stagedUploadsCreate(input: $input) {
+        stagedTargets { url resourceUrl parameters { name value } }
+        userErrors { field message }
+      }
+    }`,
+    {
+      variables: {
+        input: [{
+          resource: 'IMAGE',
+          filename,
+          mimeType,
+          httpMethod: 'POST',
+          fileSize: String(buffer.length),
+        }],
+      },
+    }
+  );
+  throwOnUserErrors('stagedUploadsCreate', staged.data.stagedUploadsCreate);
+  const [target] = staged.data.stagedUploadsCreate.stagedTargets;
+
+  const form = new FormData();
+  for (const { name, value } of target.parameters) {
+    form.append(name, value);
+  }
+  form.append('file', new Blob([buffer], { type: mimeType }), filename);
+  const upload = await fetch(target.url, { method: 'POST', body: form });
+  if (!upload.ok) {
+    throw new Error(`Staged upload of ${filename} failed with status ${upload.status}`);
+  }
+
+  const created = await client.request(
+    `mutation fileCreate($files: [FileCreateInput!]!) {
+      fileCreate(files: $files) {
+        files { id fileStatus }
+        userErrors { field message }
+      }
+    }`,
+    { variables: { files: [{ originalSource: target.resourceUrl, contentType: 'IMAGE', alt }] } }
+  );
+  throwOnUserErrors('fileCreate', created.data.fileCreate);
+  return created.data.fileCreate.files[0].id;
+};
@@ -0,0 +1,95 @@
+import { v2 as cloudinary } from 'cloudinary';
+import { NotFoundError } from './errors.js';
+
+// --- CLOUDINARY DRIVER ---
+// Template ZIPs and design packages are stored as "raw" resources. The storage
+// key becomes the public ID, prefixed with templatesFolder for templates.
+// deliveryType "authenticated" keeps designs private so that only signed
+// URLs can download them; "upload" makes them public.
+//
+// The SDK's configuration is global, so the account (cloud_name, api_key,
+// api_secret) goes into the options of every call instead: shops with their
+// own Cloudinary account must not switch everyone else's. Without any, the
+// SDK falls back to CLOUDINARY_URL.
+export const createCloudinaryStorage = ({ templatesFolder = 'templates', deliveryType = 'upload', ...credentials }) => {
+  const account = {
+    ...Object.fromEntries(Object.entries(credentials).filter(([, value]) => value)),
+    secure: true,
+  };
+
+  const templateId = (key) => (templatesFolder ? `${templatesFolder}/${key}` : key);
+  const rawOptions = { ...account, resource_type: 'raw' };
+
+  const isMissing = (error) => error?.http_code === 404 || error?.error?.http_code === 404;
+
+  return {
+    name: 'cloudinary',
+
+    async getTemplate(key) {
+      const url = cloudinary.url(templateId(key), { ...rawOptions, type: deliveryType, sign_url: true });
+      const response = await fetch(url);
+      if (response.status === 404) throw new NotFoundError(key);
+      if (!response.ok) {
+        throw new Error(`Cloudinary returned ${response.status} for ${key}`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async templateExists(key) {
+      try {
+        await cloudinary.api.resource(templateId(key), { ...rawOptions, type: deliveryType });
+        return true;
+      } catch (error) {
+        if (isMissing(error)) return false;
+        throw error;
+      }
+    },
+
+    putDesign(key, body) {
+      return new Promise((resolve, reject) => {
+        const upload = cloudinary.uploader.upload_stream(
+          { ...rawOptions, type: deliveryType, public_id: key, overwrite: true },
+          (error, result) => (error ? reject(error) : resolve(result))
+        );
+        upload.end(body);
+      });
+    },
+
+    async getDesign(key) {
+      const response = await fetch(await this.signedUrl(key));
+      if (response.status === 404) throw new NotFoundError(key);
+      if (!response.ok) {
+        throw new Error(`Cloudinary returned ${response.status} for ${key}`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async deleteDesign(key) {
+      await cloudinary.uploader.destroy(key, { ...rawOptions, type: deliveryType, invalidate: true });
+    },
+
+    async listDesigns(prefix) {
+      const { resources } = await cloudinary.api.resources({
+        ...rawOptions,
+        type: deliveryType,
+        prefix,
+        max_results: 100,
+      });
+      return resources
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .map((resource) => resource.public_id);
+    },
+
+    publicUrl(key) {
+      return cloudinary.url(key, { ...rawOptions, type: deliveryType });
+    },
+
+    async signedUrl(key, expiresIn = 300) {
+      return cloudinary.utils.private_download_url(key, '', {
+        ...rawOptions,
+        type: deliveryType,
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+      });
+    },
+  };
+};
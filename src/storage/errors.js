@@ -0,0 +1,9 @@
+// Thrown by every storage driver when a template or design does not exist,
+// so callers never have to know which provider they are talking to.
+export class NotFoundError extends Error {
+  constructor(key) {
+    super(`${key} not found`);
+    this.name = 'NotFoundError';
+    this.key = key;
+  }
+}
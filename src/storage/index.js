@@ -0,0 +1,109 @@
+import { createS3Storage } from './s3.js';
+import { createCloudinaryStorage } from './cloudinary.js';
+import { createLocalStorage } from './local.js';
+import { NotFoundError } from './errors.js';
+import { loadConfig } from '../config.js';
+import { storageDuration, storageBytes } from '../metrics.js';
+
+export { NotFoundError };
+
+// --- STORAGE BACKENDS ---
+// Every driver implements the same interface:
+//
+//   getTemplate(key)               -> Buffer of the template ZIP (NotFoundError if missing)
+//   templateExists(key)            -> boolean
+//   putDesign(key, body, type)     -> stores a finished design package
+//   getDesign(key)                 -> Buffer of a design package (NotFoundError if missing)
+//   deleteDesign(key)              -> removes a design package (no error if missing)
+//   listDesigns(prefix)            -> design keys starting with prefix, newest first
+//   publicUrl(key)                 -> permanent URL of a design package
+//   signedUrl(key, expiresIn)      -> short-lived download URL (seconds)
+//
+// STORAGE_DRIVER picks the backend: s3 (default), cloudinary or local, set
+// up from the environment. A shop can use other buckets or folders through
+// config/shops/<shop>/storage.json, whose fields override the environment:
+//
+//   { "driver": "s3", "templatesBucket": "acme-templates", "designsBucket": "acme-designs" }
+
+const drivers = {
+  s3: (options) => createS3Storage({
+    region: process.env.AWS_REGION,
+    templatesBucket: process.env.AWS_TEMPLATES_BUCKET,
+    designsBucket: process.env.AWS_DESIGNS_BUCKET,
+    endpoint: process.env.AWS_S3_ENDPOINT || undefined,
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    },
+    ...options,
+  }),
+
+  // Credentials come from CLOUDINARY_URL, which the SDK reads by itself, or
+  // from the three separate variables.
+  cloudinary: (options) => createCloudinaryStorage({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    templatesFolder: process.env.CLOUDINARY_TEMPLATES_FOLDER ?? 'templates',
+    deliveryType: process.env.CLOUDINARY_DELIVERY_TYPE || 'upload',
+    ...options,
+  }),
+
+  local: (options) => createLocalStorage({
+    templatesDir: process.env.LOCAL_TEMPLATES_DIR || 'storage/templates',
+    designsDir: process.env.LOCAL_DESIGNS_DIR || 'storage/output',
+    baseUrl: process.env.HOST || `http://localhost:${process.env.PORT || 3000}`,
+    // Same secret as the design links (src/links.js)
+    signingSecret: process.env.DESIGN_LINK_SECRET || process.env.SHOPIFY_API_SECRET,
+    ...options,
+  }),
+};
+
+// Every transfer is timed for /metrics (src/metrics.js) and the bytes
+// counted. A missing key is its own result, as the callers expect those.
+const TIMED_OPERATIONS = ['getTemplate', 'templateExists', 'putDesign', 'getDesign', 'deleteDesign', 'listDesigns'];
+
+const instrument = (storage) => {
+  const labels = (operation) => ({ driver: storage.name, operation });
+  for (const operation of TIMED_OPERATIONS) {
+    const call = storage[operation];
+    storage[operation] = async function timed(...args) {
+      const done = storageDuration.startTimer(labels(operation));
+      try {
+        const result = await call.apply(this, args);
+        done({ result: 'ok' });
+        if (Buffer.isBuffer(result)) storageBytes.inc({ driver: storage.name, direction: 'download' }, result.length);
+        if (operation === 'putDesign') storageBytes.inc({ driver: storage.name, direction: 'upload' }, args[1].length);
+        return result;
+      } catch (error) {
+        done({ result: error instanceof NotFoundError ? 'not_found' : 'error' });
+        throw error;
+      }
+    };
+  }
+  return storage;
+};
+
+export const createStorage = (driver = process.env.STORAGE_DRIVER || 's3', options = {}) => {
+  if (!drivers[driver]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${Object.keys(drivers).join(', ')})`);
+  }
+  return instrument(drivers[driver](options));
+};
+
+export const storage = createStorage();
+
+const shopStorages = new Map();
+
+// The storage for a shop's templates and designs: its own when it has a
+// storage config, the shared one otherwise (and when `shop` is null).
+export const storageForShop = (shop) => {
+  if (!shop) return storage;
+  if (!shopStorages.has(shop)) {
+    const { driver, ...options } = loadConfig('storage', shop);
+    shopStorages.set(shop, driver || Object.keys(options).length > 0
+      ? createStorage(driver || process.env.STORAGE_DRIVER || 's3', options)
+      : storage);
+  }
+  return shopStorages.get(shop);
+};
@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { NotFoundError } from './errors.js';
+
+// --- LOCAL DIRECTORY DRIVER ---
+// For offline development: templates are read from `templatesDir` (a folder
+// of template ZIPs named like the S3 keys) and designs are written under
+// `designsDir`. The web app serves designsDir at /storage, but only to URLs
+// from signedUrl: they carry an expiry and an HMAC of key and expiry made
+// with `signingSecret`, which verifySignedUrl checks. publicUrl is the bare
+// path, which the app refuses.
+export const createLocalStorage = ({ templatesDir, designsDir, baseUrl, signingSecret }) => {
+  // Keys come from product titles; never let one escape its directory
+  const resolveKey = (dir, key) => {
+    const root = path.resolve(dir);
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const sign = (key, expires) => {
+    if (!signingSecret) throw new Error('The local storage driver needs a signing secret for download URLs');
+    return crypto.createHmac('sha256', signingSecret).update(`${key}:${expires}`).digest('base64url');
+  };
+
+  return {
+    name: 'local',
+    designsDir: path.resolve(designsDir),
+
+    async getTemplate(key) {
+      try {
+        return await fs.readFile(resolveKey(templatesDir, key));
+      } catch (error) {
+        if (error.code === 'ENOENT') throw new NotFoundError(key);
+        throw error;
+      }
+    },
+
+    async templateExists(key) {
+      try {
+        await fs.access(resolveKey(templatesDir, key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async putDesign(key, body) {
+      const filePath = resolveKey(designsDir, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+    },
+
+    async getDesign(key) {
+      try {
+        return await fs.readFile(resolveKey(designsDir, key));
+      } catch (error) {
+        if (error.code === 'ENOENT') throw new NotFoundError(key);
+        throw error;
+      }
+    },
+
+    async deleteDesign(key) {
+      await fs.rm(resolveKey(designsDir, key), { force: true });
+    },
+
+    async listDesigns(prefix) {
+      const slash = prefix.lastIndexOf('/');
+      const keyDir = prefix.slice(0, slash + 1);
+      const start = prefix.slice(slash + 1);
+      const dir = keyDir ? resolveKey(designsDir, keyDir) : path.resolve(designsDir);
+
+      let entries;
+      try {
+        entries = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const matches = entries.filter((name) => name.startsWith(start));
+      const stats = await Promise.all(matches.map((name) => fs.stat(path.join(dir, name))));
+      return matches
+        .map((name, i) => ({ key: `${keyDir}${name}`, mtime: stats[i].mtimeMs }))
+        .sort((a, b) => b.mtime - a.mtime)
+        .map((entry) => entry.key);
+    },
+
+    publicUrl(key) {
+      return `${baseUrl}/storage/${key}`;
+    },
+
+    async signedUrl(key, expiresIn = 300) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${this.publicUrl(key)}?${new URLSearchParams({ expires, signature: sign(key, expires) })}`;
+    },
+
+    verifySignedUrl(key, { expires, signature } = {}) {
+      if (typeof signature !== 'string' || !(Number(expires) > Date.now() / 1000)) return false;
+      const expected = Buffer.from(sign(key, expires));
+      const actual = Buffer.from(signature);
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    },
+  };
+};
@@ -0,0 +1,86 @@
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { NotFoundError } from './errors.js';
+
+// --- S3 DRIVER ---
+// Templates and designs live in two buckets (AWS_TEMPLATES_BUCKET and
+// AWS_DESIGNS_BUCKET). Public URLs are virtual-hosted style, except with a
+// custom endpoint (AWS_S3_ENDPOINT, for S3-compatible services and the test
+// suite's stand-in), which is addressed path-style.
+export const createS3Storage = ({ region, templatesBucket, designsBucket, credentials, endpoint }) => {
+  const client = new S3Client({ region, credentials, ...(endpoint && { endpoint, forcePathStyle: true }) });
+
+  const isMissing = (error) =>
+    error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: 's3',
+    client,
+
+    async getTemplate(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: templatesBucket, Key: key }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        if (isMissing(error)) throw new NotFoundError(key);
+        throw error;
+      }
+    },
+
+    async templateExists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: templatesBucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (isMissing(error)) return false;
+        throw error;
+      }
+    },
+
+    async putDesign(key, body, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: designsBucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+      }));
+    },
+
+    async getDesign(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: designsBucket, Key: key }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        if (isMissing(error)) throw new NotFoundError(key);
+        throw error;
+      }
+    },
+
+    async deleteDesign(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: designsBucket, Key: key }));
+    },
+
+    async listDesigns(prefix) {
+      const response = await client.send(new ListObjectsV2Command({ Bucket: designsBucket, Prefix: prefix }));
+      return (response.Contents || [])
+        .sort((a, b) => b.LastModified - a.LastModified)
+        .map((object) => object.Key);
+    },
+
+    publicUrl(key) {
+      if (endpoint) return `${endpoint.replace(/\/$/, '')}/${designsBucket}/${key}`;
+      return `https://${designsBucket}.s3.${region}.amazonaws.com/${key}`;
+    },
+
+    signedUrl(key, expiresIn = 300) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: designsBucket, Key: key }), { expiresIn });
+    },
+  };
+};
@@ -0,0 +1,83 @@
+import { loadConfig } from './config.js';
+import { storageForShop } from './storage/index.js';
+
+// --- TEMPLATE SELECTION ---
+// config/templates.json maps line items to template ZIPs. Rules are tried in
+// order and the first one whose every criterion matches wins:
+//
+// {
+//   "rules": [
+//     {
+//       "match": { "productId": 7000000001, "options": ["White", "Golden Yellow"] },
+//       "template": "CUSTOM_T--SHIRT_FOR_LIGHT.zip",
+//       "style": "light"
+//     }
+//   ],
+//   "fallback": "legacy"
+// }
+//
+// Match criteria: productId, variantId, sku (a value or a list), title, and
+// options (the variant must have at least one of the listed option values,
+// e.g. the "White" in "White / XL"). "style" is handed to the renderer, which
+// applies the manifest's `styles[style]` overrides.
+//
+// "fallback": "legacy" keeps the old title + light/dark naming for items no
+// rule matches. Without a templates.json at all, the legacy naming is used.
+
+const LIGHT_COLOURS = ['white', 'golden yellow'];
+
+// The original naming: product title in caps with underscores, plus a
+// light/dark suffix picked from the variant colour.
+export const legacyTemplate = (item) => {
+  const baseFilename = item.title.toUpperCase().replace(/\s+/g, '_').replace('-', '--');
+  const variantTitle = (item.variant_title || '').toLowerCase();
+  const style = LIGHT_COLOURS.some((colour) => variantTitle.includes(colour)) ? 'light' : 'dark';
+  return { templateKey: `${baseFilename}_FOR_${style.toUpperCase()}.zip`, style };
+};
+
+const optionValues = (item) =>
+  (item.variant_title || '').split(' / ').map((value) => value.trim().toLowerCase());
+
+const asList = (value) => (Array.isArray(value) ? value : [value]).map(String);
+
+const matches = (match = {}, item) => {
+  if (match.productId !== undefined && !asList(match.productId).includes(String(item.product_id))) return false;
+  if (match.variantId !== undefined && !asList(match.variantId).includes(String(item.variant_id))) return false;
+  if (match.sku !== undefined && !asList(match.sku).includes(String(item.sku))) return false;
+  if (match.title !== undefined && match.title !== item.title) return false;
+  if (match.options !== undefined) {
+    const values = optionValues(item);
+    if (!asList(match.options).some((option) => values.includes(option.toLowerCase()))) return false;
+  }
+  return true;
+};
+
+// Returns { templateKey, style } for a line item, or throws when no rule
+// matches and the config has no fallback. `shop` picks the shop's own
+// templates.json when it has one.
+export const selectTemplate = (item, shop = null) => {
+  const config = loadConfig('templates', shop);
+  if (!config.rules) return legacyTemplate(item);
+
+  const rule = config.rules.find((candidate) => matches(candidate.match, item));
+  if (rule) {
+    return { templateKey: rule.template, style: rule.style || null };
+  }
+  if (config.fallback === 'legacy') return legacyTemplate(item);
+
+  throw new Error(`no template rule matches "${item.title}" / "${item.variant_title}"`);
+};
+
+// Startup check: every template named in the rules must exist in storage.
+// Returns the missing keys.
+export const verifyTemplateMappings = async (shop = null) => {
+  const { rules = [] } = loadConfig('templates', shop);
+  const storage = storageForShop(shop);
+  const keys = [...new Set(rules.map((rule) => rule.template))];
+  const missing = [];
+
+  for (const key of keys) {
+    if (!(await storage.templateExists(key))) missing.push(key);
+  }
+  return missing;
+};
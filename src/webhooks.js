@@ -0,0 +1,198 @@
+import { graphqlClient } from './clients.js';
+import { ledger } from './ledger.js';
+import { processOrderPayload, cancelOrderDesigns } from './pipeline.js';
+import { sessionStore, accessTokenForShop } from './sessions.js';
+import { log, withLogContext } from './logger.js';
+import { webhookDuration } from './metrics.js';
+
+// --- WEBHOOKS ---
+// Subscriptions and handlers for every topic the app listens to:
+//
+//   ORDERS_CREATE     render the order's designs
+//   ORDERS_UPDATED    re-render line items whose call sign was edited
+//   ORDERS_CANCELLED  mark the designs cancelled, or delete the files when
+//                     CANCELLED_ORDER_DESIGNS=delete
+//   APP_UNINSTALLED   forget the shop's access token
+//
+// Registration is a reconcile, run on install and at every startup: existing
+// subscriptions that already point at HOST/webhooks are left alone, stale ones
+// are updated, duplicates are removed, and only missing topics are created.
+
+export const WEBHOOK_TOPICS = ['ORDERS_CREATE', 'ORDERS_UPDATED', 'ORDERS_CANCELLED', 'APP_UNINSTALLED'];
+
+const callbackUrl = () => `${process.env.HOST}/webhooks`;
+
+const listSubscriptions = async (client) => {
+  const subscriptions = [];
+  let cursor = null;
+  do {
+    const response = await client.request(
+      `query webhookSubscriptions($after: String) {
+        webhookSubscriptions(first: 100, after: $after) {
+          edges {
+            node {
+              id
+              topic
+              format
+              endpoint { __typename ... on WebhookHttpEndpoint { callbackUrl } }
+            }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }`,
+      { variables: { after: cursor } }
+    );
+    const { edges, pageInfo } = response.data.webhookSubscriptions;
+    subscriptions.push(...edges.map(({ node }) => ({ ...node, callbackUrl: node.endpoint?.callbackUrl || null })));
+    cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (cursor);
+  return subscriptions;
+};
+
+const checkUserErrors = (result, action) => {
+  if (result.userErrors?.length > 0) {
+    const error = new Error(`Could not ${action}: ${result.userErrors.map((e) => e.message).join('; ')}`);
+    error.userErrors = result.userErrors;
+    throw error;
+  }
+};
+
+// Returns { created, updated, deleted, kept } as lists of topics.
+export const registerWebhooks = async (shop, accessToken) => {
+  const client = graphqlClient(shop, accessToken);
+  const existing = await listSubscriptions(client);
+  const url = callbackUrl();
+  const summary = { created: [], updated: [], deleted: [], kept: [] };
+
+  for (const topic of WEBHOOK_TOPICS) {
+    const subscriptions = existing.filter((subscription) => subscription.topic === topic);
+    const current = subscriptions.find((subscription) =>
+      subscription.callbackUrl === url && subscription.format === 'JSON');
+
+    if (current) {
+      summary.kept.push(topic);
+    } else if (subscriptions.length > 0) {
+      const [stale] = subscriptions;
+      const response = await client.request(
+        `mutation webhookSubscriptionUpdate($id: ID!, $webhookSubscription: WebhookSubscriptionInput!) {
+          webhookSubscriptionUpdate(id: $id, webhookSubscription: $webhookSubscription) {
+            webhookSubscription { id }
+            userErrors { field message }
+          }
+        }`,
+        { variables: { id: stale.id, webhookSubscription: { callbackUrl: url, format: 'JSON' } } }
+      );
+      checkUserErrors(response.data.webhookSubscriptionUpdate, `update ${topic} webhook`);
+      summary.updated.push(topic);
+    } else {
+      const response = await client.request(
+        `mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+          webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+            webhookSubscription { id }
+            userErrors { field message }
+          }
+        }`,
+        { variables: { topic, webhookSubscription: { callbackUrl: url, format: 'JSON' } } }
+      );
+      checkUserErrors(response.data.webhookSubscriptionCreate, `create ${topic} webhook`);
+      summary.created.push(topic);
+    }
+
+    // Any other subscription for the topic would deliver every event twice.
+    // These go only after the one we keep is in place, so nothing is missed.
+    const keptId = current?.id || subscriptions[0]?.id;
+    for (const extra of subscriptions.filter((subscription) => subscription.id !== keptId)) {
+      const response = await client.request(
+        `mutation webhookSubscriptionDelete($id: ID!) {
+          webhookSubscriptionDelete(id: $id) {
+            deletedWebhookSubscriptionId
+            userErrors { field message }
+          }
+        }`,
+        { variables: { id: extra.id } }
+      );
+      checkUserErrors(response.data.webhookSubscriptionDelete, `delete duplicate ${topic} webhook`);
+      summary.deleted.push(topic);
+    }
+  }
+
+  log.info('Registered webhooks', { shop, ...summary });
+  return summary;
+};
+
+const logResult = ({ designs, failures, reviews, skipped }) => {
+  if (designs.length === 0 && failures.length === 0 && reviews.length === 0 && skipped === 0) {
+    log.info('No custom designs in order');
+  }
+  if (failures.length > 0) {
+    log.warn('Order has failed designs, tagged for review', { failed: failures.length });
+  }
+  if (reviews.length > 0) {
+    log.warn('Order has call signs held for review', { reviews: reviews.length });
+  }
+};
+
+const ordersCreate = async (shop, payload, webhookId) => {
+  const accessToken = await accessTokenForShop(shop);
+  logResult(await processOrderPayload(payload, shop, { accessToken, webhookId }));
+};
+
+// Fires for every change to an order, including the tags and metafields the
+// app writes itself, so only edited call signs lead to any work. Orders the
+// ledger has not seen yet are left to ORDERS_CREATE and the reconciler.
+const ordersUpdated = async (shop, payload, webhookId) => {
+  if (ledger.itemsForOrder(payload.admin_graphql_api_id).length === 0) return;
+  const accessToken = await accessTokenForShop(shop);
+  const result = await processOrderPayload(payload, shop, { accessToken, webhookId, onlyChanged: true });
+  if (result.designs.length > 0 || result.failures.length > 0 || result.reviews.length > 0) {
+    log.info('Order was edited');
+    logResult(result);
+  }
+};
+
+const ordersCancelled = async (shop, payload) => {
+  const accessToken = await accessTokenForShop(shop);
+  await cancelOrderDesigns(payload, shop, {
+    accessToken,
+    deleteFiles: process.env.CANCELLED_ORDER_DESIGNS === 'delete',
+  });
+};
+
+// The token stops working the moment the app is removed; the ledger and the
+// design files are kept in case the shop comes back.
+const appUninstalled = async (shop) => {
+  const sessions = await sessionStore.findSessionsByShop(shop);
+  await sessionStore.deleteSessions(sessions.map((session) => session.id));
+  log.info('App uninstalled, sessions removed', { sessions: sessions.length });
+};
+
+export const topicHandlers = {
+  ORDERS_CREATE: ordersCreate,
+  ORDERS_UPDATED: ordersUpdated,
+  ORDERS_CANCELLED: ordersCancelled,
+  APP_UNINSTALLED: appUninstalled,
+};
+
+// Runs on the background queue. Errors are logged and rethrown so the queue
+// can retry the delivery and, once it gives up, put it on the dead-letter
+// list; until then the record stays "retrying" with its body, so a restart
+// picks it up again. Everything logged while it runs carries the delivery's
+// IDs.
+export const handleWebhook = ({ id: webhookId, topic, shop, body }) =>
+  withLogContext({ webhookId, topic, shop }, async () => {
+    log.info('Processing webhook');
+    const payload = JSON.parse(body);
+    const done = webhookDuration.startTimer({ topic });
+
+    await ledger.recordWebhook(webhookId, { status: 'processing', error: null });
+    try {
+      await topicHandlers[topic](shop, payload, webhookId);
+      await ledger.recordWebhook(webhookId, { status: 'done', body: null });
+      done({ result: 'done' });
+    } catch (error) {
+      done({ result: 'failed' });
+      log.error('Webhook processing failed', { error });
+      await ledger.recordWebhook(webhookId, { status: 'retrying', error: error.message });
+      throw error;
+    }
+  });
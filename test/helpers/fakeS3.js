@@ -0,0 +1,102 @@
+import http from 'http';
+
+// --- FAKE S3 ---
+// Just enough of the S3 REST API, path-style, for src/storage/s3.js: put, get,
+// head and delete of single objects and ListObjectsV2. Objects are kept in
+// memory as { body, contentType, lastModified } under "<bucket>/<key>".
+
+const xmlEscape = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const notFound = (res, key) => {
+  res.writeHead(404, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Key>${xmlEscape(key)}</Key></Error>`);
+};
+
+// Streaming uploads arrive as aws-chunked frames: "<hex size>;chunk-signature=...\r\n<data>\r\n",
+// ending with a zero-size chunk and optional trailers.
+const decodeAwsChunked = (buffer) => {
+  const chunks = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    const size = parseInt(buffer.subarray(offset, lineEnd).toString().split(';')[0], 16);
+    if (!size) break;
+    chunks.push(buffer.subarray(lineEnd + 2, lineEnd + 2 + size));
+    offset = lineEnd + 2 + size + 2;
+  }
+  return Buffer.concat(chunks);
+};
+
+const readBody = async (req) => {
+  const parts = [];
+  for await (const part of req) parts.push(part);
+  const body = Buffer.concat(parts);
+  const chunked = (req.headers['content-encoding'] || '').includes('aws-chunked') ||
+    (req.headers['x-amz-content-sha256'] || '').startsWith('STREAMING-');
+  return chunked ? decodeAwsChunked(body) : body;
+};
+
+const listObjects = (objects, bucket, prefix) => {
+  const contents = [...objects.entries()]
+    .filter(([name]) => name.startsWith(`${bucket}/${prefix}`))
+    .map(([name, object]) => `<Contents><Key>${xmlEscape(name.slice(bucket.length + 1))}</Key>` +
+      `<LastModified>${object.lastModified.toISOString()}</LastModified><Size>${object.body.length}</Size></Contents>`);
+  return '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+    `<Name>${xmlEscape(bucket)}</Name><Prefix>${xmlEscape(prefix)}</Prefix><KeyCount>${contents.length}</KeyCount>` +
+    `<IsTruncated>false</IsTruncated>${contents.join('')}</ListBucketResult>`;
+};
+
+export const createFakeS3 = async () => {
+  const objects = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [bucket, ...keyParts] = url.pathname.slice(1).split('/');
+    const key = decodeURIComponent(keyParts.join('/'));
+    const name = `${bucket}/${key}`;
+
+    if (req.method === 'GET' && !key && url.searchParams.get('list-type') === '2') {
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      return res.end(listObjects(objects, bucket, url.searchParams.get('prefix') || ''));
+    }
+    if (req.method === 'PUT') {
+      objects.set(name, {
+        body: await readBody(req),
+        contentType: req.headers['content-type'] || 'application/octet-stream',
+        lastModified: new Date(),
+      });
+      res.writeHead(200, { ETag: '"fake"' });
+      return res.end();
+    }
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const object = objects.get(name);
+      if (!object) return notFound(res, key);
+      res.writeHead(200, { 'Content-Type': object.contentType, 'Content-Length': object.body.length });
+      return res.end(req.method === 'GET' ? object.body : undefined);
+    }
+    if (req.method === 'DELETE') {
+      objects.delete(name);
+      res.writeHead(204);
+      return res.end();
+    }
+    res.writeHead(405);
+    res.end();
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    objects,
+    put: (bucket, key, body) => objects.set(`${bucket}/${key}`, {
+      body,
+      contentType: 'application/octet-stream',
+      lastModified: new Date(),
+    }),
+    get: (bucket, key) => objects.get(`${bucket}/${key}`)?.body || null,
+    keys: (bucket) => [...objects.keys()]
+      .filter((name) => name.startsWith(`${bucket}/`))
+      .map((name) => name.slice(bucket.length + 1)),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
@@ -0,0 +1,92 @@
+import http from 'http';
+import '@shopify/shopify-api/adapters/node';
+import { setAbstractFetchFunc } from '@shopify/shopify-api/runtime';
+
+// --- FAKE SHOPIFY ADMIN API ---
+// A local GraphQL endpoint standing in for https://<shop>/admin/api/. The
+// Shopify library sends every request through its abstract fetch, which is
+// pointed here, so the app under test talks to this server unchanged.
+//
+// Every request is recorded as { shop, operation, query, variables }. Answers
+// come from `handlers`, keyed by operation name; the defaults accept every
+// mutation the app sends and report no subscriptions or orders. A handler that
+// throws is answered with its message as a GraphQL error, with the error's
+// `extensions` (e.g. { code: 'THROTTLED' }) and `cost` (the query cost report
+// Shopify adds to the response) when it has them.
+
+const operationName = (query) => query.match(/^\s*(?:query|mutation)\s+(\w+)/)?.[1] || null;
+
+// Answers recordDesigns (src/orderUpdate.js) with no userErrors for each of
+// the fields the mutation asked for.
+export const recordDesigns = ({ query }) => {
+  const data = {};
+  for (const field of ['tagsAdd', 'tagsRemove', 'metafieldsSet', 'orderUpdate']) {
+    if (query.includes(`${field}(`)) data[field] = { userErrors: [] };
+  }
+  return data;
+};
+
+const defaultHandlers = () => ({
+  recordDesigns,
+  webhookSubscriptions: () => ({
+    webhookSubscriptions: { edges: [], pageInfo: { hasNextPage: false, endCursor: null } },
+  }),
+  healthCheck: ({ shop }) => ({ shop: { name: shop } }),
+  metafieldDefinitions: () => ({ metafieldDefinitions: { edges: [] } }),
+  metafieldDefinitionCreate: ({ variables }) => ({
+    metafieldDefinitionCreate: { createdDefinition: { id: `gid://shopify/MetafieldDefinition/${variables.definition.key}` }, userErrors: [] },
+  }),
+  metafieldDefinitionPin: ({ variables }) => ({
+    metafieldDefinitionPin: { pinnedDefinition: { id: variables.definitionId }, userErrors: [] },
+  }),
+});
+
+const answer = (handler, request) => {
+  if (!handler) return { errors: [{ message: `fake Shopify has no handler for ${request.operation}` }] };
+  try {
+    return { data: handler(request) };
+  } catch (error) {
+    return {
+      errors: [{ message: error.message, ...(error.extensions && { extensions: error.extensions }) }],
+      ...(error.cost && { extensions: { cost: error.cost } }),
+    };
+  }
+};
+
+export const createFakeShopify = async () => {
+  const requests = [];
+  let handlers = defaultHandlers();
+
+  const server = http.createServer(async (req, res) => {
+    const parts = [];
+    for await (const part of req) parts.push(part);
+    const { query, variables = {} } = JSON.parse(Buffer.concat(parts).toString('utf-8'));
+    const request = { shop: req.headers['x-forwarded-host'], operation: operationName(query), query, variables };
+    requests.push(request);
+
+    const body = answer(handlers[request.operation], request);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  setAbstractFetchFunc((url, init = {}) => {
+    const target = new URL(url);
+    return fetch(`${base}${target.pathname}${target.search}`, {
+      ...init,
+      headers: { ...init.headers, 'X-Forwarded-Host': target.host },
+    });
+  });
+
+  return {
+    requests,
+    handle: (operation, handler) => { handlers[operation] = handler; },
+    mutations: (operation) => requests.filter((request) => request.operation === operation),
+    reset: () => {
+      requests.length = 0;
+      handlers = defaultHandlers();
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import JSZip from 'jszip';
+import sharp from 'sharp';
+
+// --- FIXTURES ---
+// Webhook bodies, templates and golden images live in test/fixtures. The
+// templates share test/fixtures/fonts: Source Code Pro Bold (SIL Open Font
+// License), shipped with the fixtures so rendering does not depend on the
+// fonts installed on the machine.
+
+export const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+export const readFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf-8'));
+
+// test/fixtures/templates/<name> plus the fonts, zipped the way templates are
+// uploaded.
+export const templateZip = async (name) => {
+  const zip = new JSZip();
+  const addDir = (dir, prefix) => {
+    for (const file of fs.readdirSync(dir)) zip.file(`${prefix}${file}`, fs.readFileSync(path.join(dir, file)));
+  };
+  addDir(path.join(FIXTURES_DIR, 'templates', name), '');
+  addDir(path.join(FIXTURES_DIR, 'fonts'), 'fonts/');
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+// --- WEBHOOK DELIVERIES ---
+// Headers as Shopify sends them, signed with SHOPIFY_API_SECRET (or `secret`).
+export const webhookHeaders = (topic, rawBody, { id = crypto.randomUUID(), shop, secret } = {}) => ({
+  'Content-Type': 'application/json',
+  'X-Shopify-Topic': topic,
+  'X-Shopify-Shop-Domain': shop || process.env.SHOP_URL,
+  'X-Shopify-Webhook-Id': id,
+  'X-Shopify-Event-Id': crypto.randomUUID(),
+  'X-Shopify-Triggered-At': new Date().toISOString(),
+  'X-Shopify-API-Version': '2025-07',
+  'X-Shopify-Hmac-Sha256': crypto
+    .createHmac('sha256', secret || process.env.SHOPIFY_API_SECRET)
+    .update(rawBody, 'utf-8')
+    .digest('base64'),
+});
+
+export const postWebhook = (baseUrl, topic, payload, options) => {
+  const rawBody = JSON.stringify(payload);
+  return fetch(`${baseUrl}/webhooks`, {
+    method: 'POST',
+    headers: webhookHeaders(topic, rawBody, options),
+    body: rawBody,
+  });
+};
+
+// A copy of orders-create.json under another order and line item ID, so a
+// test starts with a ledger that has never seen it. `overrides` go onto the
+// custom line item.
+export const orderFixture = (number, overrides = {}) => {
+  const order = readFixture('orders-create.json');
+  const [custom, ...rest] = order.line_items;
+  return {
+    ...order,
+    id: number,
+    admin_graphql_api_id: `gid://shopify/Order/${number}`,
+    name: `#${number}`,
+    line_items: [{ ...custom, id: number * 10, ...overrides }, ...rest],
+  };
+};
+
+// --- APP UNDER TEST ---
+// The app listening on a free port, as { baseUrl, webhookQueue,
+// resumeWebhooks, close }. src/ is imported on the first call, once
+// test/helpers/setup.js has set the environment.
+export const startApp = async () => {
+  const { createApp } = await import('../../src/app.js');
+  const { app, webhookQueue, resumeWebhooks } = createApp();
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    webhookQueue,
+    resumeWebhooks,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+// Posts a delivery to a started app and waits until its queue has run it.
+export const deliver = async (started, payload, options, topic = 'orders/create') => {
+  const response = await postWebhook(started.baseUrl, topic, payload, options);
+  await started.webhookQueue.onIdle();
+  return response;
+};
+
+// --- GOLDEN IMAGES ---
+// Compares a PNG with test/fixtures/golden/<name> pixel by pixel. A pixel
+// counts as different when any channel is more than `threshold` (0-255) off;
+// the result is the share of pixels that differ. Text rendering shifts by an
+// anti-aliasing step between libvips builds, hence a tolerance rather than an
+// exact match. UPDATE_GOLDEN=1 rewrites the golden file instead.
+export const compareWithGolden = async (png, name, { threshold = 32 } = {}) => {
+  const goldenPath = path.join(FIXTURES_DIR, 'golden', name);
+  if (process.env.UPDATE_GOLDEN === '1') {
+    fs.mkdirSync(path.dirname(goldenPath), { recursive: true });
+    fs.writeFileSync(goldenPath, png);
+    return { updated: true, diffRatio: 0 };
+  }
+  if (!fs.existsSync(goldenPath)) {
+    throw new Error(`No golden image ${name}; run the tests with UPDATE_GOLDEN=1 to create it`);
+  }
+
+  const raw = (input) => sharp(input).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const [actual, expected] = await Promise.all([raw(png), raw(fs.readFileSync(goldenPath))]);
+  if (actual.info.width !== expected.info.width || actual.info.height !== expected.info.height) {
+    return { updated: false, diffRatio: 1, sizeMismatch: true };
+  }
+
+  let different = 0;
+  const channels = actual.info.channels;
+  for (let offset = 0; offset < actual.data.length; offset += channels) {
+    for (let channel = 0; channel < channels; channel++) {
+      if (Math.abs(actual.data[offset + channel] - expected.data[offset + channel]) > threshold) {
+        different++;
+        break;
+      }
+    }
+  }
+  return { updated: false, diffRatio: different / (actual.info.width * actual.info.height) };
+};
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFakeS3 } from './fakeS3.js';
+import { createFakeShopify } from './fakeShopify.js';
+import { templateZip, FIXTURES_DIR } from './fixtures.js';
+
+// --- TEST ENVIRONMENT ---
+// Starts the fakes and points the environment at them. The storage driver,
+// ledger, session store and Shopify client are created from the environment
+// when src/ is loaded, so test files import src/ dynamically, after this.
+// Each test file runs in its own process with its own fakes and temp dir, so
+// nothing here touches data/, config/ or the network.
+
+export const fakeS3 = await createFakeS3();
+export const fakeShopify = await createFakeShopify();
+export const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'design-app-test-'));
+
+export const SHOP = 'test-shop.myshopify.com';
+export const TEMPLATES_BUCKET = 'test-templates';
+export const DESIGNS_BUCKET = 'test-designs';
+
+Object.assign(process.env, {
+  HOST: 'https://designs.example.test',
+  SHOP_URL: SHOP,
+  SHOPIFY_API_KEY: 'test-api-key',
+  SHOPIFY_API_SECRET: 'test-api-secret',
+  SHOPIFY_ACCESS_TOKEN: 'shpat_test',
+  STORAGE_DRIVER: 's3',
+  AWS_REGION: 'us-east-1',
+  AWS_ACCESS_KEY_ID: 'test',
+  AWS_SECRET_ACCESS_KEY: 'test',
+  AWS_S3_ENDPOINT: fakeS3.url,
+  AWS_TEMPLATES_BUCKET: TEMPLATES_BUCKET,
+  AWS_DESIGNS_BUCKET: DESIGNS_BUCKET,
+  CONFIG_DIR: path.join(FIXTURES_DIR, 'config'),
+  LEDGER_PATH: path.join(tempDir, 'ledger.json'),
+  SESSION_STORE: 'file',
+  SESSION_FILE_PATH: path.join(tempDir, 'sessions.json'),
+  QUEUE_MAX_ATTEMPTS: '1',
+  // Failures the tests expect would otherwise fill the output
+  LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+  HEALTHZ_CACHE_SECONDS: '0',
+});
+
+fakeS3.put(TEMPLATES_BUCKET, 'TEST_PATCH.zip', await templateZip('patch'));
+fakeS3.put(TEMPLATES_BUCKET, 'TEST_JERSEY.zip', await templateZip('jersey'));
+
+export const teardown = async () => {
+  await fakeS3.close();
+  await fakeShopify.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+};
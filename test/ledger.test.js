@@ -0,0 +1,58 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLedger, ITEM_STATUS } from '../src/ledger.js';
+
+// The web server and the recovery CLI each open the same ledger file; two
+// ledgers on one file stand in for the two processes.
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'design-app-ledger-'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('ledger shared between processes', () => {
+  test('each sees the other\'s writes and neither erases them', async () => {
+    const file = path.join(dir, 'shared.json');
+    const server = createLedger(file);
+    const cli = createLedger(file);
+
+    await server.recordWebhook('delivery-1', { status: 'done' });
+    assert.equal(cli.getWebhook('delivery-1').status, 'done');
+
+    await Promise.all([
+      cli.upsertItem('gid://shopify/Order/1', 11, { status: ITEM_STATUS.DONE }),
+      server.upsertItem('gid://shopify/Order/2', 21, { status: ITEM_STATUS.PENDING }),
+      server.setCheckpoint('reconcile:shop', { highWaterMark: '2026-01-01T00:00:00Z' }),
+    ]);
+
+    for (const ledger of [server, cli, createLedger(file)]) {
+      assert.equal(ledger.getWebhook('delivery-1').status, 'done');
+      assert.equal(ledger.getItem('gid://shopify/Order/1', 11).status, ITEM_STATUS.DONE);
+      assert.equal(ledger.getItem('gid://shopify/Order/2', 21).status, ITEM_STATUS.PENDING);
+      assert.equal(ledger.getCheckpoint('reconcile:shop').highWaterMark, '2026-01-01T00:00:00Z');
+    }
+    assert.equal(fs.existsSync(`${file}.lock`), false);
+  });
+
+  test('drops finished deliveries past the retention period', async () => {
+    const file = path.join(dir, 'pruned.json');
+    const old = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(file, JSON.stringify({
+      webhooks: {
+        'old-done': { status: 'done', updatedAt: old },
+        'old-queued': { status: 'queued', updatedAt: old },
+      },
+    }));
+
+    const ledger = createLedger(file);
+    await ledger.recordWebhook('new-done', { status: 'done' });
+    const { webhooks } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    assert.deepEqual(Object.keys(webhooks).sort(), ['new-done', 'old-queued']);
+  });
+});
@@ -0,0 +1,58 @@
+import { fakeShopify, teardown, SHOP } from './helpers/setup.js';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { Session } from '@shopify/shopify-api';
+import { orderFixture, startApp, deliver } from './helpers/fixtures.js';
+
+// src/ reads the environment as it loads, so it comes in after the setup
+const { designToken } = await import('../src/links.js');
+const { sessionStore } = await import('../src/sessions.js');
+
+// Another merchant with the app installed, who can open it in their own admin
+const OTHER_SHOP = 'attacker.myshopify.com';
+
+let started;
+
+before(async () => {
+  started = await startApp();
+  await sessionStore.storeSession(new Session({
+    id: `offline_${OTHER_SHOP}`,
+    shop: OTHER_SHOP,
+    state: 'installed',
+    isOnline: false,
+    accessToken: 'shpat_other',
+  }));
+  fakeShopify.reset();
+  await deliver(started, orderFixture(6200));
+});
+
+after(async () => {
+  await started.close();
+  await teardown();
+});
+
+// The query Shopify adds to a link opened from `shop`'s admin
+const adminQuery = (shop) => {
+  const query = { shop, timestamp: String(Math.floor(Date.now() / 1000)) };
+  const message = new URLSearchParams(Object.keys(query).sort().map((key) => [key, query[key]])).toString();
+  const hmac = crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET).update(message).digest('hex');
+  return new URLSearchParams({ ...query, hmac }).toString();
+};
+
+const download = (query) =>
+  fetch(`${started.baseUrl}/designs/6200/62000?${query}`, { redirect: 'manual' });
+
+describe('/designs', () => {
+  test('redirects a link with its token to the package', async () => {
+    const response = await download(`token=${designToken('#6200', 62000)}`);
+    assert.equal(response.status, 302);
+    assert.match(response.headers.get('location'), /\/designs\/6200-62000-\d+\.zip/);
+  });
+
+  test('opens a design from its own shop\'s admin only', async () => {
+    assert.equal((await download(adminQuery(SHOP))).status, 302);
+    assert.equal((await download(adminQuery(OTHER_SHOP))).status, 403);
+    assert.equal((await download(adminQuery('not-installed.myshopify.com'))).status, 403);
+  });
+});
@@ -0,0 +1,50 @@
+import { fakeShopify, teardown, SHOP } from './helpers/setup.js';
+import { test, describe, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// src/ reads the environment as it loads, so it comes in after the setup
+const { registerMetafieldDefinitions } = await import('../src/metafieldDefinitions.js');
+
+after(teardown);
+
+beforeEach(() => fakeShopify.reset());
+
+const definitionNode = (key, pinnedPosition) => ({
+  node: { id: `gid://shopify/MetafieldDefinition/${key}`, namespace: 'custom_design', key, pinnedPosition },
+});
+
+describe('order metafield definitions', () => {
+  test('creates the missing ones pinned and pins the unpinned ones', async () => {
+    fakeShopify.handle('metafieldDefinitions', () => ({
+      metafieldDefinitions: { edges: [definitionNode('mockups', null)] },
+    }));
+
+    const summary = await registerMetafieldDefinitions(SHOP, 'shpat_test');
+    assert.deepEqual(summary, { created: ['custom_design.designs'], pinned: ['custom_design.mockups'], kept: [] });
+
+    const [create] = fakeShopify.mutations('metafieldDefinitionCreate');
+    const { description, ...definition } = create.variables.definition;
+    assert.ok(description);
+    assert.deepEqual(definition, {
+      namespace: 'custom_design',
+      key: 'designs',
+      name: 'Custom designs',
+      type: 'json',
+      ownerType: 'ORDER',
+      pin: true,
+    });
+    const [pin] = fakeShopify.mutations('metafieldDefinitionPin');
+    assert.equal(pin.variables.definitionId, 'gid://shopify/MetafieldDefinition/mockups');
+  });
+
+  test('leaves pinned definitions alone', async () => {
+    fakeShopify.handle('metafieldDefinitions', () => ({
+      metafieldDefinitions: { edges: [definitionNode('designs', 1), definitionNode('mockups', 2)] },
+    }));
+
+    const summary = await registerMetafieldDefinitions(SHOP, 'shpat_test');
+    assert.deepEqual(summary.kept, ['custom_design.designs', 'custom_design.mockups']);
+    assert.equal(fakeShopify.mutations('metafieldDefinitionCreate').length, 0);
+    assert.equal(fakeShopify.mutations('metafieldDefinitionPin').length, 0);
+  });
+});
@@ -0,0 +1,142 @@
+import { fakeShopify, teardown, SHOP } from './helpers/setup.js';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderFixture, startApp, deliver } from './helpers/fixtures.js';
+
+let started;
+
+before(async () => { started = await startApp(); });
+
+after(async () => {
+  await started.close();
+  await teardown();
+});
+
+beforeEach(() => fakeShopify.reset());
+
+// Runs `fn` with LOG_LEVEL=info and returns the JSON lines written meanwhile.
+const captureLogs = async (fn) => {
+  const lines = [];
+  const { write } = process.stdout;
+  const level = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = 'info';
+  process.stdout.write = (chunk, ...rest) => {
+    if (String(chunk).startsWith('{')) lines.push(JSON.parse(chunk));
+    else write.call(process.stdout, chunk, ...rest);
+    return true;
+  };
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = write;
+    process.env.LOG_LEVEL = level;
+  }
+  return lines;
+};
+
+const scrape = async (headers = {}) => {
+  const response = await fetch(`${started.baseUrl}/metrics`, { headers });
+  return { response, text: await response.text() };
+};
+
+const health = (headers = {}) => fetch(`${started.baseUrl}/healthz`, { headers });
+
+describe('/healthz', () => {
+  before(() => {
+    process.env.METRICS_TOKEN = 'scrape-me';
+  });
+
+  after(() => {
+    delete process.env.METRICS_TOKEN;
+  });
+
+  const withToken = { Authorization: 'Bearer scrape-me' };
+
+  test('reports ok when storage and every shop token work', async () => {
+    const response = await health(withToken);
+    assert.equal(response.status, 200);
+    const report = await response.json();
+    assert.equal(report.status, 'ok');
+    assert.deepEqual(report.checks.storage, [{ name: 'shared', driver: 's3', ok: true }]);
+    assert.deepEqual(report.checks.shopify, [{ shop: SHOP, ok: true }]);
+    assert.deepEqual(report.queue, { waiting: 0, running: 0, retrying: 0, deadLetters: 0 });
+  });
+
+  test('answers 503 when a shop token is rejected', async () => {
+    fakeShopify.handle('healthCheck', () => {
+      throw new Error('Invalid API key or access token');
+    });
+    const response = await health(withToken);
+    assert.equal(response.status, 503);
+    const report = await response.json();
+    assert.equal(report.status, 'failing');
+    assert.equal(report.checks.shopify[0].ok, false);
+    assert.match(report.checks.shopify[0].error, /Invalid API key or access token/);
+    assert.equal(report.checks.storage[0].ok, true);
+  });
+
+  test('shows only the status without the token', async () => {
+    fakeShopify.handle('healthCheck', () => {
+      throw new Error('Invalid API key or access token');
+    });
+    for (const headers of [{}, { Authorization: 'Bearer wrong-token' }]) {
+      const response = await health(headers);
+      assert.equal(response.status, 503);
+      assert.deepEqual(await response.json(), { status: 'failing' });
+    }
+  });
+});
+
+describe('/metrics', () => {
+  test('counts webhooks, designs, storage transfers and order updates', async () => {
+    await deliver(started, orderFixture(7001));
+    await deliver(started, orderFixture(7002), { secret: 'not-the-secret' });
+
+    const { response, text } = await scrape();
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(text, /^# TYPE design_app_webhooks_received_total counter$/m);
+    assert.match(text, /^design_app_webhooks_received_total\{topic="ORDERS_CREATE",result="queued"\} 1$/m);
+    assert.match(text, /^design_app_webhooks_received_total\{topic="unknown",result="invalid"\} 1$/m);
+    assert.match(text, /^design_app_webhook_duration_seconds_count\{topic="ORDERS_CREATE",result="done"\} 1$/m);
+    assert.match(text, /^design_app_designs_total\{result="done"\} 1$/m);
+    assert.match(text, /^design_app_render_duration_seconds_bucket\{result="ok",le="\+Inf"\} 1$/m);
+    assert.match(text, /^design_app_storage_bytes_total\{driver="s3",direction="upload"\} [1-9]\d*$/m);
+    assert.match(text, /^design_app_order_updates_total\{result="ok"\} 1$/m);
+    assert.match(text, /^design_app_queue_jobs\{state="waiting"\} 0$/m);
+    assert.match(text, /^design_app_last_design_timestamp_seconds [1-9][\d.]*$/m);
+  });
+
+  test('requires METRICS_TOKEN as a bearer token when it is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-me';
+    try {
+      assert.equal((await scrape()).response.status, 401);
+      assert.equal((await scrape({ Authorization: 'Bearer wrong-token' })).response.status, 401);
+      assert.equal((await scrape({ Authorization: 'Bearer scrape-me' })).response.status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
+
+describe('structured logs', () => {
+  test('tag every line of a delivery with its webhook, order and line item', async () => {
+    const lines = await captureLogs(() => deliver(started, orderFixture(7003), { id: 'logged-delivery' }));
+
+    const uploaded = lines.find((line) => line.msg === 'Design uploaded');
+    assert.ok(uploaded, 'no "Design uploaded" line was logged');
+    assert.equal(uploaded.level, 'info');
+    assert.ok(!Number.isNaN(Date.parse(uploaded.time)));
+    assert.equal(uploaded.webhookId, 'logged-delivery');
+    assert.equal(uploaded.topic, 'ORDERS_CREATE');
+    assert.equal(uploaded.shop, SHOP);
+    assert.equal(uploaded.orderId, 'gid://shopify/Order/7003');
+    assert.equal(uploaded.orderName, '#7003');
+    assert.equal(uploaded.lineItemId, 70030);
+    assert.match(uploaded.key, /^designs\/7003-70030-\d+\.zip$/);
+
+    const processing = lines.filter((line) => line.webhookId === 'logged-delivery');
+    assert.ok(processing.length > 2);
+    assert.ok(processing.every((line) => line.shop === SHOP));
+  });
+});
@@ -0,0 +1,79 @@
+import { fakeShopify, teardown, SHOP } from './helpers/setup.js';
+import { test, describe, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// src/ reads the environment as it loads, so it comes in after the setup
+const { searchOrders, fetchOrderById } = await import('../src/orders.js');
+
+after(teardown);
+
+beforeEach(() => fakeShopify.reset());
+
+const lineItemEdge = (id) => ({
+  node: {
+    id: `gid://shopify/LineItem/${id}`,
+    title: 'Custom Name Patch',
+    variantTitle: 'Black / L',
+    sku: null,
+    product: { id: 'gid://shopify/Product/7001' },
+    variant: { id: 'gid://shopify/ProductVariant/8001' },
+    customAttributes: [{ key: 'call_sign', value: `PILOT${id}` }],
+  },
+});
+
+const orderNode = (number, lineItemIds, hasNextPage = false) => ({
+  id: `gid://shopify/Order/${number}`,
+  name: `#${number}`,
+  note: null,
+  tags: [],
+  createdAt: '2026-10-01T00:00:00Z',
+  lineItems: { edges: lineItemIds.map(lineItemEdge), pageInfo: { hasNextPage, endCursor: hasNextPage ? 'more' : null } },
+});
+
+const collect = async (iterator) => {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+};
+
+describe('fetching orders', () => {
+  test('keeps each query under the cost limit and pages through long orders', async () => {
+    fakeShopify.handle('orders', () => ({
+      orders: { edges: [{ node: orderNode(8001, [1, 2], true) }], pageInfo: { hasNextPage: false, endCursor: null } },
+    }));
+    fakeShopify.handle('orderLineItems', ({ variables }) => ({
+      order: {
+        lineItems: {
+          edges: variables.after === 'more' ? [lineItemEdge(3)] : [],
+          pageInfo: { hasNextPage: false, endCursor: null },
+        },
+      },
+    }));
+
+    const [order] = await collect(searchOrders(SHOP, 'created_at:>=2026-10-01', { accessToken: 'shpat_test' }));
+    assert.deepEqual(order.line_items.map((item) => item.id), [1, 2, 3]);
+    assert.equal(order.line_items[2].properties[0].value, 'PILOT3');
+
+    const [search] = fakeShopify.mutations('orders');
+    assert.equal(search.variables.first, 5);
+    assert.match(search.query, /lineItems\(first: 25\)/);
+    assert.equal(fakeShopify.mutations('orderLineItems')[0].variables.id, 'gid://shopify/Order/8001');
+  });
+
+  test('waits out a THROTTLED response and retries', async () => {
+    let calls = 0;
+    fakeShopify.handle('order', () => {
+      if (++calls === 1) {
+        throw Object.assign(new Error('Throttled'), {
+          extensions: { code: 'THROTTLED' },
+          cost: { requestedQueryCost: 130, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 100, restoreRate: 1000 } },
+        });
+      }
+      return { order: orderNode(8002, [4]) };
+    });
+
+    const order = await fetchOrderById(SHOP, 'gid://shopify/Order/8002', { accessToken: 'shpat_test' });
+    assert.equal(order.name, '#8002');
+    assert.equal(calls, 2);
+  });
+});
@@ -0,0 +1,51 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { PDFDocument, PDFDict, PDFName } from 'pdf-lib';
+import { templateZip } from './helpers/fixtures.js';
+import { loadTemplateManifest, composeDesign } from '../src/render.js';
+import { renderOutputs, DEFAULT_OUTPUTS, OUTPUT_FILES } from '../src/outputs.js';
+
+const PDF_SETTINGS = { ...DEFAULT_OUTPUTS, formats: ['png', 'pdf'] };
+
+// Font descriptors in the PDF as { name, embedded }
+const pdfFonts = async (bytes) => {
+  const pdf = await PDFDocument.load(bytes);
+  return pdf.context.enumerateIndirectObjects()
+    .map(([, object]) => object)
+    .filter((object) => object instanceof PDFDict && object.get(PDFName.of('Type')) === PDFName.of('FontDescriptor'))
+    .map((descriptor) => ({
+      name: descriptor.get(PDFName.of('FontName')).decodeText(),
+      embedded: Boolean(descriptor.get(PDFName.of('FontFile2'))),
+    }));
+};
+
+const patchTemplate = async () => {
+  const zip = await JSZip.loadAsync(await templateZip('patch'));
+  const png = await zip.file('template.png').async('nodebuffer');
+  return { png, ...await loadTemplateManifest(zip, 'TEST_PATCH.zip') };
+};
+
+describe('design.pdf', () => {
+  test('embeds the font file the PNG was drawn with', async () => {
+    const { png, manifest, fontFiles } = await patchTemplate();
+    const design = await composeDesign(png, 'MAVERICK', { manifest, fontFiles });
+    const files = await renderOutputs(design, png, fontFiles, PDF_SETTINGS);
+
+    const [font, ...others] = await pdfFonts(files[OUTPUT_FILES.pdf]);
+    assert.equal(others.length, 0);
+    assert.match(font.name, /SourceCodePro-Bold/);
+    assert.equal(font.embedded, true);
+  });
+
+  test('fails clearly for a text region without a font file', async () => {
+    const { png } = await patchTemplate();
+    const design = await composeDesign(png, 'MAVERICK');
+    await assert.rejects(
+      renderOutputs(design, png, {}, PDF_SETTINGS),
+      /^Error: design\.pdf needs an embedded font, but text region "default" has no font file/
+    );
+    // Without the PDF the same design is fine
+    assert.ok((await renderOutputs(design, png, {}, DEFAULT_OUTPUTS))[OUTPUT_FILES.png]);
+  });
+});
@@ -0,0 +1,145 @@
+import { fakeS3, fakeShopify, teardown, SHOP, DESIGNS_BUCKET } from './helpers/setup.js';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import JSZip from 'jszip';
+import sharp from 'sharp';
+import { compareWithGolden } from './helpers/fixtures.js';
+
+// src/ reads the environment as it loads, so it comes in after the setup
+const { processOrderPayload } = await import('../src/pipeline.js');
+const { ledger, ITEM_STATUS } = await import('../src/ledger.js');
+
+// The jersey product (test/fixtures/config/personalization.json) has a name,
+// a number and an optional logo image, drawn by the jersey template's three
+// regions. Logos are served by a local server standing in for Shopify's CDN.
+
+const GOLDEN_TOLERANCE = 0.01;
+
+let imageServer;
+let imageBase;
+
+const circle = (size, color) => sharp(Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">` +
+  `<circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}" fill="${color}"/></svg>`
+)).png().toBuffer();
+
+before(async () => {
+  const files = {
+    '/logo.png': { type: 'image/png', body: await circle(64, '#2255aa') },
+    '/tiny.png': { type: 'image/png', body: await circle(8, '#2255aa') },
+    '/logo.txt': { type: 'text/plain', body: Buffer.from('not an image') },
+  };
+  imageServer = http.createServer((req, res) => {
+    const file = files[req.url];
+    if (!file) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': file.type });
+    res.end(file.body);
+  });
+  await new Promise((resolve) => imageServer.listen(0, '127.0.0.1', resolve));
+  imageBase = `http://127.0.0.1:${imageServer.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => imageServer.close(resolve));
+  await teardown();
+});
+
+beforeEach(() => fakeShopify.reset());
+
+const jerseyOrder = (number, properties) => ({
+  id: number,
+  admin_graphql_api_id: `gid://shopify/Order/${number}`,
+  name: `#${number}`,
+  note: null,
+  line_items: [{
+    id: number * 10,
+    product_id: 7003,
+    variant_id: 8003,
+    title: 'Custom Jersey',
+    variant_title: 'Red / M',
+    properties: Object.entries(properties).map(([name, value]) => ({ name, value })),
+  }],
+});
+
+const designPng = async (key) =>
+  (await JSZip.loadAsync(fakeS3.get(DESIGNS_BUCKET, key))).file('design.png').async('nodebuffer');
+
+describe('multi-field personalization', () => {
+  test('draws name, number and logo into their regions', async () => {
+    const order = jerseyOrder(6001, { Name: 'smith', Number: '10', Logo: `${imageBase}/logo.png` });
+    const result = await processOrderPayload(order, SHOP);
+
+    assert.deepEqual(result.failures, []);
+    const [design] = result.designs;
+    assert.equal(design.callSign, 'SMITH 10');
+    assert.equal(design.templateKey, 'TEST_JERSEY.zip');
+    assert.deepEqual(result.tags, ['has_custom_design', 'Red/M/SMITH 10']);
+
+    const record = ledger.getItem(order.admin_graphql_api_id, 60010);
+    assert.equal(record.status, ITEM_STATUS.DONE);
+    assert.deepEqual(record.fields, { name: 'SMITH', number: '10', logo: `${imageBase}/logo.png` });
+
+    const { diffRatio, sizeMismatch } = await compareWithGolden(await designPng(design.key), 'jersey.png');
+    assert.ok(!sizeMismatch, 'design.png differs in size from the golden image');
+    assert.ok(diffRatio <= GOLDEN_TOLERANCE,
+      `${(diffRatio * 100).toFixed(2)}% of pixels differ from the golden image (tolerance ${GOLDEN_TOLERANCE * 100}%)`);
+  });
+
+  test('leaves the logo region blank when the optional field is left out', async () => {
+    const order = jerseyOrder(6002, { Name: 'smith', Number: '10' });
+    const result = await processOrderPayload(order, SHOP);
+
+    const [design] = result.designs;
+    assert.equal(design.callSign, 'SMITH 10');
+    // Where the logo would sit, bottom right of the badge box
+    const { data } = await sharp(await designPng(design.key))
+      .extract({ left: 420, top: 530, width: 1, height: 1 })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    assert.deepEqual([...data.subarray(0, 3)], [0xe8, 0xe8, 0xe8]);
+  });
+
+  test('re-renders when any field is edited', async () => {
+    const order = jerseyOrder(6003, { Name: 'smith', Number: '10' });
+    await processOrderPayload(order, SHOP);
+
+    const unchanged = await processOrderPayload(order, SHOP, { onlyChanged: true });
+    assert.equal(unchanged.designs.length, 0);
+    assert.match(unchanged.skippedItems[0].reason, /^already has a design/);
+
+    const edited = jerseyOrder(6003, { Name: 'smith', Number: '11' });
+    const result = await processOrderPayload(edited, SHOP, { onlyChanged: true });
+    assert.equal(result.designs[0].callSign, 'SMITH 11');
+    const [update] = fakeShopify.mutations('recordDesigns').slice(-1);
+    assert.deepEqual(update.variables.removeTags, ['Red/M/SMITH 10']);
+  });
+
+  test('holds a field that breaks its rules for review', async () => {
+    const result = await processOrderPayload(jerseyOrder(6004, { Name: 'smith', Number: '1A' }), SHOP);
+    assert.equal(result.designs.length, 0);
+    assert.match(result.reviews[0].reason, /^number contains characters that are not allowed: A$/);
+  });
+
+  test('holds an image from a host that is not allowed for review', async () => {
+    const order = jerseyOrder(6005, { Name: 'smith', Number: '10', Logo: 'https://example.com/logo.png' });
+    const result = await processOrderPayload(order, SHOP);
+    assert.match(result.reviews[0].reason, /^logo is hosted on example\.com, which is not allowed$/);
+    assert.equal(fakeS3.keys(DESIGNS_BUCKET).filter((key) => key.startsWith('designs/6005-')).length, 0);
+  });
+
+  test('fails line items whose image cannot be used', async () => {
+    const tiny = await processOrderPayload(jerseyOrder(6006, { Name: 'a', Number: '1', Logo: `${imageBase}/tiny.png` }), SHOP);
+    assert.match(tiny.failures[0].reason, /is 8x8 pixels, smaller than 32x32$/);
+
+    const text = await processOrderPayload(jerseyOrder(6007, { Name: 'a', Number: '1', Logo: `${imageBase}/logo.txt` }), SHOP);
+    assert.match(text.failures[0].reason, /is not a PNG, JPEG, WebP or GIF image$/);
+
+    const missing = await processOrderPayload(jerseyOrder(6008, { Name: 'a', Number: '1', Logo: `${imageBase}/gone.png` }), SHOP);
+    assert.match(missing.failures[0].reason, /could not be downloaded: HTTP 404$/);
+    assert.equal(ledger.getItem('gid://shopify/Order/6008', 60080).status, ITEM_STATUS.FAILED);
+  });
+});
@@ -0,0 +1,46 @@
+import { teardown, SHOP } from './helpers/setup.js';
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/fixtures.js';
+
+// The app sits behind one proxy, which passes the visitor's address on in
+// X-Forwarded-For.
+
+let started;
+
+before(async () => {
+  Object.assign(process.env, { TRUST_PROXY: '1', PREVIEW_RATE_LIMIT: '2' });
+  started = await startApp();
+});
+
+after(async () => {
+  await started.close();
+  await teardown();
+});
+
+// Missing a call sign, so answered without rendering; the limit applies all the same
+const preview = (visitor) =>
+  fetch(`${started.baseUrl}/preview?product=7001`, { headers: { 'X-Forwarded-For': visitor } });
+
+describe('/preview rate limit', () => {
+  test('counts each visitor behind the proxy on their own', async () => {
+    assert.equal((await preview('203.0.113.1')).status, 400);
+    assert.equal((await preview('203.0.113.1')).status, 400);
+    assert.equal((await preview('203.0.113.1')).status, 429);
+
+    assert.equal((await preview('203.0.113.2')).status, 400);
+  });
+});
+
+describe('/preview shop', () => {
+  const previewFor = (shop, visitor) =>
+    fetch(`${started.baseUrl}/preview?shop=${shop}&product=7001&call_sign=maverick`, { headers: { 'X-Forwarded-For': visitor } });
+
+  test('is refused for a shop without the app installed', async () => {
+    const response = await previewFor('made-up-1.myshopify.com', '203.0.113.3');
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'unknown shop' });
+
+    assert.equal((await previewFor(SHOP, '203.0.113.4')).status, 200);
+  });
+});
@@ -0,0 +1,57 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLocalStorage } from '../src/storage/local.js';
+import { createCloudinaryStorage } from '../src/storage/cloudinary.js';
+
+let dir;
+let storage;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'design-app-storage-'));
+  storage = createLocalStorage({
+    templatesDir: path.join(dir, 'templates'),
+    designsDir: path.join(dir, 'output'),
+    baseUrl: 'http://localhost:3000',
+    signingSecret: 'test-secret',
+  });
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const queryOf = (url) => Object.fromEntries(new URL(url).searchParams);
+
+describe('local storage download URLs', () => {
+  test('are signed for one key and expire', async () => {
+    const url = await storage.signedUrl('designs/1001-1-1.zip', 60);
+    assert.match(url, /^http:\/\/localhost:3000\/storage\/designs\/1001-1-1\.zip\?expires=\d+&signature=[\w-]+$/);
+    const query = queryOf(url);
+
+    assert.equal(storage.verifySignedUrl('designs/1001-1-1.zip', query), true);
+    assert.equal(storage.verifySignedUrl('designs/1002-1-1.zip', query), false);
+    assert.equal(storage.verifySignedUrl('designs/1001-1-1.zip', { ...query, expires: Number(query.expires) + 60 }), false);
+    assert.equal(storage.verifySignedUrl('designs/1001-1-1.zip', {}), false);
+
+    const expired = queryOf(await storage.signedUrl('designs/1001-1-1.zip', -1));
+    assert.equal(storage.verifySignedUrl('designs/1001-1-1.zip', expired), false);
+  });
+});
+
+describe('cloudinary storage', () => {
+  test('keeps each account to its own storage', async () => {
+    const shared = createCloudinaryStorage({ cloud_name: 'shared-cloud', api_key: '111', api_secret: 'shared-secret' });
+    const shop = createCloudinaryStorage({ cloud_name: 'shop-cloud', api_key: '222', api_secret: 'shop-secret' });
+
+    assert.match(shared.publicUrl('designs/1.zip'), /^https:\/\/res\.cloudinary\.com\/shared-cloud\//);
+    assert.match(shop.publicUrl('designs/1.zip'), /^https:\/\/res\.cloudinary\.com\/shop-cloud\//);
+
+    const sharedUrl = new URL(await shared.signedUrl('designs/1.zip'));
+    const shopUrl = new URL(await shop.signedUrl('designs/1.zip'));
+    assert.match(sharedUrl.pathname, /^\/v1_1\/shared-cloud\//);
+    assert.equal(sharedUrl.searchParams.get('api_key'), '111');
+    assert.match(shopUrl.pathname, /^\/v1_1\/shop-cloud\//);
+    assert.equal(shopUrl.searchParams.get('api_key'), '222');
+  });
+});
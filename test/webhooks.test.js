@@ -0,0 +1,246 @@
+import { fakeS3, fakeShopify, teardown, DESIGNS_BUCKET } from './helpers/setup.js';
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { recordDesigns } from './helpers/fakeShopify.js';
+import { readFixture, orderFixture, postWebhook, startApp, deliver, compareWithGolden } from './helpers/fixtures.js';
+
+// src/ reads the environment as it loads, so it comes in after the setup
+const { createApp } = await import('../src/app.js');
+const { ledger, ITEM_STATUS } = await import('../src/ledger.js');
+const { DESIGNS_METAFIELD } = await import('../src/orderUpdate.js');
+
+// An ORDERS_CREATE delivery goes through the real app, pipeline, renderer and
+// S3 driver; only S3 and the Shopify Admin API are local stand-ins.
+
+const GOLDEN_TOLERANCE = 0.01;
+
+let started;
+
+before(async () => { started = await startApp(); });
+
+after(async () => {
+  await started.close();
+  await teardown();
+});
+
+beforeEach(() => fakeShopify.reset());
+
+const packageFiles = (key) => JSZip.loadAsync(fakeS3.get(DESIGNS_BUCKET, key));
+
+describe('ORDERS_CREATE', () => {
+  test('uploads the design package and writes tags, metafield and note', async () => {
+    const order = readFixture('orders-create.json');
+    const response = await deliver(started, order);
+    assert.equal(response.status, 200);
+
+    const [key, ...others] = fakeS3.keys(DESIGNS_BUCKET).filter((k) => k.startsWith('designs/5001-9001-'));
+    assert.match(key, /^designs\/5001-9001-\d+\.zip$/);
+    assert.equal(others.length, 0);
+
+    const zip = await packageFiles(key);
+    assert.deepEqual(Object.keys(zip.files).filter((name) => !zip.files[name].dir).sort(), [
+      'design.png',
+      'fonts/SourceCodePro-Bold.ttf',
+      'instructions.txt',
+      'preview.jpg',
+    ]);
+
+    const [update, ...moreUpdates] = fakeShopify.mutations('recordDesigns');
+    assert.equal(moreUpdates.length, 0);
+    assert.equal(update.shop, process.env.SHOP_URL);
+    assert.equal(update.variables.id, 'gid://shopify/Order/5001');
+    assert.deepEqual(update.variables.tags, ['has_custom_design', 'Black/L/MAVERICK']);
+    assert.equal(update.variables.removeTags, undefined);
+
+    const [metafield] = update.variables.metafields;
+    assert.equal(metafield.ownerId, 'gid://shopify/Order/5001');
+    assert.equal(metafield.namespace, DESIGNS_METAFIELD.namespace);
+    assert.equal(metafield.key, DESIGNS_METAFIELD.key);
+    assert.equal(metafield.type, 'json');
+    const [lineItem] = JSON.parse(metafield.value).lineItems;
+    assert.equal(lineItem.lineItemId, 9001);
+    assert.equal(lineItem.callSign, 'MAVERICK');
+    assert.equal(lineItem.templateKey, 'TEST_PATCH.zip');
+    assert.equal(lineItem.outputKey, key);
+    assert.equal(lineItem.status, ITEM_STATUS.DONE);
+    assert.match(lineItem.downloadUrl, /^https:\/\/designs\.example\.test\/designs\/5001\/9001\?token=[\w-]+&shop=/);
+
+    assert.ok(update.variables.note.startsWith('Gift wrap please\n\n--- Custom Design Files ---\n'));
+    assert.ok(update.variables.note.includes(`5001-${lineItem.downloadUrl};`));
+    assert.ok(update.variables.note.endsWith('--- End Custom Design Files ---'));
+
+    assert.equal(ledger.getItem('gid://shopify/Order/5001', 9001).status, ITEM_STATUS.DONE);
+  });
+
+  test('design.png matches the golden image', async () => {
+    await deliver(started, orderFixture(5005));
+    const [key] = fakeS3.keys(DESIGNS_BUCKET).filter((k) => k.startsWith('designs/5005-50050-'));
+    const design = await (await packageFiles(key)).file('design.png').async('nodebuffer');
+
+    const { diffRatio, sizeMismatch } = await compareWithGolden(design, 'maverick.png');
+    assert.ok(!sizeMismatch, 'design.png differs in size from the golden image');
+    assert.ok(diffRatio <= GOLDEN_TOLERANCE,
+      `${(diffRatio * 100).toFixed(2)}% of pixels differ from the golden image (tolerance ${GOLDEN_TOLERANCE * 100}%)`);
+  });
+
+  test('ignores a repeated delivery of the same webhook', async () => {
+    const order = orderFixture(5002);
+    await deliver(started, order, { id: 'repeat-delivery' });
+    const uploads = fakeS3.keys(DESIGNS_BUCKET).length;
+
+    const response = await deliver(started, order, { id: 'repeat-delivery' });
+    assert.equal(response.status, 200);
+    assert.equal(fakeS3.keys(DESIGNS_BUCKET).length, uploads);
+    assert.equal(fakeShopify.mutations('recordDesigns').length, 1);
+  });
+
+  test('rejects a delivery with a bad signature', async () => {
+    const order = orderFixture(5003);
+    const response = await deliver(started, order, { secret: 'not-the-secret' });
+    assert.equal(response.status, 401);
+    assert.equal(fakeShopify.requests.length, 0);
+    assert.equal(ledger.getItem(order.admin_graphql_api_id, 50030), null);
+  });
+
+  test('runs an ORDERS_UPDATED that arrives right behind ORDERS_CREATE after it', async () => {
+    const order = orderFixture(5007);
+    const [custom, sticker] = order.line_items;
+    order.line_items = [custom, { ...custom, id: 50071, properties: [{ name: 'call_sign', value: 'goose' }] }, sticker];
+
+    // Both are acknowledged before either runs, as when Shopify sends them seconds apart
+    await postWebhook(started.baseUrl, 'orders/create', order);
+    await postWebhook(started.baseUrl, 'orders/updated', order);
+    await started.webhookQueue.onIdle();
+
+    const uploads = fakeS3.keys(DESIGNS_BUCKET).filter((k) => k.startsWith('designs/5007-'));
+    assert.equal(uploads.length, 2);
+    assert.equal(fakeShopify.mutations('recordDesigns').length, 1);
+    assert.equal(ledger.getItem(order.admin_graphql_api_id, 50070).status, ITEM_STATUS.DONE);
+    assert.equal(ledger.getItem(order.admin_graphql_api_id, 50071).status, ITEM_STATUS.DONE);
+  });
+
+  test('points bucket links in a note from before /designs at the route', async () => {
+    const legacyKey = 'designs/5013-4242-1700000000000.zip';
+    fakeS3.put(DESIGNS_BUCKET, legacyKey, Buffer.from('legacy package'));
+    const legacyUrl = `https://${DESIGNS_BUCKET}.s3.us-east-1.amazonaws.com/${legacyKey}`;
+    const order = { ...orderFixture(5013), note: `Gift wrap please\n\n--- Custom Design Files ---\n#5013-1/1-${legacyUrl};` };
+    await deliver(started, order);
+
+    const [update] = fakeShopify.mutations('recordDesigns');
+    assert.ok(!update.variables.note.includes(legacyUrl));
+    const [link] = update.variables.note.match(/https:\/\/designs\.example\.test\/designs\/5013\/4242\?\S+(?=;)/);
+    const { pathname, search } = new URL(link);
+    const response = await fetch(`${started.baseUrl}${pathname}${search}`, { redirect: 'manual' });
+    assert.equal(response.status, 302);
+    assert.ok(response.headers.get('location').includes(legacyKey));
+  });
+
+  test('acknowledges ORDERS_UPDATED for an order without designs and records nothing', async () => {
+    const response = await deliver(started, orderFixture(5012), { id: 'unrelated-update' }, 'orders/updated');
+    assert.equal(response.status, 200);
+    assert.equal(ledger.getWebhook('unrelated-update'), null);
+    assert.equal(fakeShopify.requests.length, 0);
+  });
+
+  test('keeps an ORDERS_UPDATED behind an ORDERS_CREATE waiting to retry', async () => {
+    Object.assign(process.env, { QUEUE_MAX_ATTEMPTS: '2', QUEUE_BASE_DELAY_MS: '200' });
+    const retrying = await startApp();
+    process.env.QUEUE_MAX_ATTEMPTS = '1';
+    delete process.env.QUEUE_BASE_DELAY_MS;
+    try {
+      let failures = 1;
+      fakeShopify.handle('recordDesigns', (request) => {
+        if (failures-- > 0) throw new Error('Internal error');
+        return recordDesigns(request);
+      });
+      const order = orderFixture(5008);
+      await postWebhook(retrying.baseUrl, 'orders/create', order);
+      while (retrying.webhookQueue.stats().retrying === 0) await new Promise((resolve) => setTimeout(resolve, 10));
+      // Kept for a restart to pick up while it waits
+      const [waiting] = ledger.unfinishedWebhooks();
+      assert.equal(waiting.status, 'retrying');
+      assert.equal(waiting.orderId, order.admin_graphql_api_id);
+
+      // Support edits the call sign while the first delivery waits for its retry
+      const edited = orderFixture(5008, { properties: [{ name: 'call_sign', value: 'iceman' }] });
+      await postWebhook(retrying.baseUrl, 'orders/updated', edited);
+      await retrying.webhookQueue.onIdle();
+
+      const record = ledger.getItem(order.admin_graphql_api_id, 50080);
+      assert.equal(record.callSign, 'ICEMAN');
+      assert.equal(record.status, ITEM_STATUS.DONE);
+      const last = fakeShopify.mutations('recordDesigns').at(-1);
+      assert.ok(last.variables.tags.includes('Black/L/ICEMAN'));
+      assert.ok(!(last.variables.removeTags || []).includes('Black/L/ICEMAN'));
+    } finally {
+      await retrying.close();
+    }
+  });
+
+  test('marks a delivery failed once the queue gives up on it', async () => {
+    fakeShopify.handle('recordDesigns', () => { throw new Error('Internal error'); });
+    await deliver(started, orderFixture(5010), { id: 'given-up-delivery' });
+
+    assert.equal(ledger.getWebhook('given-up-delivery').status, 'failed');
+    assert.ok(ledger.deadLetters().some((entry) => entry.id === 'given-up-delivery'));
+    assert.deepEqual(ledger.unfinishedWebhooks(), []);
+  });
+
+  test('runs a delivery again after a restart when it never finished', async () => {
+    const order = orderFixture(5006);
+    // What the route leaves behind for a delivery the process stopped before running
+    await ledger.recordWebhook('interrupted-delivery', {
+      shop: process.env.SHOP_URL,
+      topic: 'ORDERS_CREATE',
+      orderId: order.admin_graphql_api_id,
+      status: 'queued',
+      body: JSON.stringify(order),
+    });
+    const failedOnce = orderFixture(5009);
+    await ledger.recordWebhook('interrupted-retry', {
+      shop: process.env.SHOP_URL,
+      topic: 'ORDERS_CREATE',
+      orderId: failedOnce.admin_graphql_api_id,
+      status: 'retrying',
+      body: JSON.stringify(failedOnce),
+    });
+    await ledger.recordWebhook('interrupted-without-body', { shop: process.env.SHOP_URL, topic: 'ORDERS_UPDATED', status: 'queued' });
+
+    const restarted = createApp();
+    assert.equal(restarted.resumeWebhooks(), 2);
+    await restarted.webhookQueue.onIdle();
+
+    assert.equal(ledger.getItem(order.admin_graphql_api_id, 50060).status, ITEM_STATUS.DONE);
+    assert.equal(ledger.getItem(failedOnce.admin_graphql_api_id, 50090).status, ITEM_STATUS.DONE);
+    assert.equal(ledger.getWebhook('interrupted-delivery').status, 'done');
+    assert.equal(ledger.getWebhook('interrupted-delivery').body, null);
+    assert.equal(ledger.getWebhook('interrupted-without-body').status, 'failed');
+    assert.deepEqual(ledger.unfinishedWebhooks(), []);
+  });
+
+  test('holds a blocklisted call sign for review without rendering it', async () => {
+    const order = orderFixture(5004, { properties: [{ name: 'call_sign', value: 'Bad Word' }] });
+    const response = await deliver(started, order);
+    assert.equal(response.status, 200);
+
+    assert.deepEqual(fakeS3.keys(DESIGNS_BUCKET).filter((k) => k.startsWith('designs/5004-')), []);
+    const [update] = fakeShopify.mutations('recordDesigns');
+    assert.deepEqual(update.variables.tags, ['call_sign_review']);
+    assert.equal(ledger.getItem(order.admin_graphql_api_id, 50040).status, ITEM_STATUS.REVIEW);
+    assert.match(update.variables.note, /5004-CALL SIGN REVIEW "Custom Name Patch" \("Bad Word"\)/);
+  });
+
+  test('takes call_sign_review off once support fixes the call sign', async () => {
+    await deliver(started, orderFixture(5011, { properties: [{ name: 'call_sign', value: 'Bad Word' }] }));
+    fakeShopify.reset();
+
+    const fixed = { ...orderFixture(5011), tags: 'call_sign_review' };
+    await deliver(started, fixed, {}, 'orders/updated');
+
+    const [update] = fakeShopify.mutations('recordDesigns');
+    assert.deepEqual(update.variables.tags, ['has_custom_design', 'Black/L/MAVERICK']);
+    assert.deepEqual(update.variables.removeTags, ['call_sign_review']);
+    assert.equal(ledger.getItem(fixed.admin_graphql_api_id, 50110).status, ITEM_STATUS.DONE);
+  });
+});